@@ -12,6 +12,21 @@ class AtmosphereSimulation {
         this.controls = null;
         this.animationId = null;
         
+        // 拖动场景物体：userData.draggable 为真的物体可沿地面拖动
+        this.raycaster = null;
+        this.groundPlane = null;
+        this.dragObject = null;
+        this.onObjectPick = null;   // 回调 (object)，按下选中物体时调用
+        this.onObjectDrag = null;   // 回调 (object, point)，point 为地面上的拖动位置
+        this.onGroundPaint = null;  // 回调 (point)，设置后在地面上按下拖动为绘制而非旋转相机
+        this.onGroundClick = null;  // 回调 (point)，设置后在地面上单击为放置物体而非旋转相机
+        this.isPainting = false;
+        
+        // 地面网格（可按地形起伏）及纹理（按地表类型着色）
+        this.ground = null;
+        this.groundCanvas = null;
+        this.groundTexture = null;
+        
         // 场景参数
         this.sceneParams = {
             width: 4000,
@@ -103,21 +118,74 @@ class AtmosphereSimulation {
         boundaryBox.position.set(0, this.sceneParams.height / 2, 0);
         this.scene.add(boundaryBox);
         
-        // 创建地面
+        // 创建地面，每40米一个网格顶点，供地形起伏使用
         const groundGeometry = new THREE.PlaneGeometry(
             this.sceneParams.width,
-            this.sceneParams.depth
+            this.sceneParams.depth,
+            this.sceneParams.width / 40,
+            this.sceneParams.depth / 40
         );
+        // 地面纹理由 updateGroundTexture() 按地表类型绘制，每像素对应10米
+        this.groundCanvas = document.createElement('canvas');
+        this.groundCanvas.width = this.sceneParams.width / 10;
+        this.groundCanvas.height = this.sceneParams.depth / 10;
+        const context = this.groundCanvas.getContext('2d');
+        context.fillStyle = '#8b4513';
+        context.fillRect(0, 0, this.groundCanvas.width, this.groundCanvas.height);
+        
+        this.groundTexture = new THREE.CanvasTexture(this.groundCanvas);
+        this.groundTexture.encoding = THREE.sRGBEncoding;
+        
         const groundMaterial = new THREE.MeshLambertMaterial({
-            color: 0x8B4513,
+            map: this.groundTexture,
             transparent: true,
             opacity: 0.8
         });
         
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
+        this.ground = new THREE.Mesh(groundGeometry, groundMaterial);
+        this.ground.rotation.x = -Math.PI / 2;
+        this.ground.receiveShadow = true;
+        this.scene.add(this.ground);
+    }
+    
+    updateGroundTerrain(getHeight) {
+        // 按地形高度函数 getHeight(x, z) 抬升地面顶点；
+        // 平面绕X轴旋转-90°后，局部(x, y, z)对应世界(x, z, -y)
+        const positions = this.ground.geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            positions.setZ(i, getHeight(positions.getX(i), -positions.getY(i)));
+        }
+        positions.needsUpdate = true;
+        this.ground.geometry.computeVertexNormals();
+    }
+    
+    updateGroundTexture(nx, nz, getColor) {
+        // 按地面格点颜色重绘地面纹理：getColor(x, z) 返回格点颜色（十六进制数），
+        // 每个像素叠加固定的明暗扰动，使地表呈现颗粒质感
+        const { width, height } = this.groundCanvas;
+        const context = this.groundCanvas.getContext('2d');
+        const image = context.createImageData(width, height);
+        
+        for (let j = 0; j < height; j++) {
+            // 画布顶行对应地面 z = -depth/2
+            const gridZ = Math.min(nz - 1, Math.floor(j / height * nz));
+            for (let i = 0; i < width; i++) {
+                const gridX = Math.min(nx - 1, Math.floor(i / width * nx));
+                const color = getColor(gridX, gridZ);
+                
+                const hash = Math.sin(i * 12.9898 + j * 78.233) * 43758.5453;
+                const shade = 0.9 + 0.2 * (hash - Math.floor(hash));
+                
+                const index = (j * width + i) * 4;
+                image.data[index] = Math.min(255, ((color >> 16) & 0xff) * shade);
+                image.data[index + 1] = Math.min(255, ((color >> 8) & 0xff) * shade);
+                image.data[index + 2] = Math.min(255, (color & 0xff) * shade);
+                image.data[index + 3] = 255;
+            }
+        }
+        
+        context.putImageData(image, 0, 0);
+        this.groundTexture.needsUpdate = true;
     }
     
     setupControls() {
@@ -130,6 +198,9 @@ class AtmosphereSimulation {
             prevY: 0
         };
         
+        this.raycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        
         this.container.addEventListener('mousedown', (e) => this.onMouseDown(e));
         this.container.addEventListener('mousemove', (e) => this.onMouseMove(e));
         this.container.addEventListener('mouseup', (e) => this.onMouseUp(e));
@@ -137,13 +208,53 @@ class AtmosphereSimulation {
     }
     
     onMouseDown(event) {
+        // 按在可拖动物体上时进入拖动，否则旋转相机
+        const target = this.pickDraggable(event);
+        if (target) {
+            this.dragObject = target;
+            this.container.style.cursor = 'grabbing';
+            if (this.onObjectPick) this.onObjectPick(target);
+            return;
+        }
+        
+        // 绘制模式下按在地面上开始绘制，放置模式下按在地面上放置一次
+        if (this.onGroundPaint || this.onGroundClick) {
+            const point = this.getGroundPoint(event);
+            if (point && Math.abs(point.x) <= this.sceneParams.width / 2 &&
+                Math.abs(point.z) <= this.sceneParams.depth / 2) {
+                if (this.onGroundPaint) {
+                    this.isPainting = true;
+                    this.onGroundPaint(point);
+                } else {
+                    this.onGroundClick(point);
+                }
+                return;
+            }
+        }
+        
         this.mouse.isDown = true;
         this.mouse.prevX = event.clientX;
         this.mouse.prevY = event.clientY;
     }
     
     onMouseMove(event) {
-        if (!this.mouse.isDown) return;
+        if (this.dragObject) {
+            const point = this.getGroundPoint(event);
+            if (point && this.onObjectDrag) this.onObjectDrag(this.dragObject, point);
+            return;
+        }
+        
+        if (this.isPainting) {
+            const point = this.getGroundPoint(event);
+            if (point && this.onGroundPaint) this.onGroundPaint(point);
+            return;
+        }
+        
+        if (!this.mouse.isDown) {
+            this.container.style.cursor = this.pickDraggable(event) ? 'grab' :
+                (this.onGroundPaint || this.onGroundClick ? 'crosshair' : '');
+            return;
+        }
         
         const deltaX = event.clientX - this.mouse.prevX;
         const deltaY = event.clientY - this.mouse.prevY;
@@ -164,6 +275,38 @@ class AtmosphereSimulation {
     
     onMouseUp() {
         this.mouse.isDown = false;
+        this.isPainting = false;
+        if (this.dragObject) {
+            this.dragObject = null;
+            this.container.style.cursor = 'grab';
+        }
+    }
+    
+    setRayFromEvent(event) {
+        const rect = this.container.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+    }
+    
+    pickDraggable(event) {
+        // 只检测场景顶层的可拖动物体
+        const draggables = this.scene.children.filter(object => object.visible && object.userData.draggable);
+        if (draggables.length === 0) return null;
+        
+        this.setRayFromEvent(event);
+        const hits = this.raycaster.intersectObjects(draggables, false);
+        return hits.length > 0 ? hits[0].object : null;
+    }
+    
+    getGroundPoint(event) {
+        // 鼠标射线与地面网格（含地形起伏）的交点，未命中时退回到 y = 0 平面，仍无交点返回 null
+        this.setRayFromEvent(event);
+        const hits = this.raycaster.intersectObject(this.ground, false);
+        if (hits.length > 0) return hits[0].point;
+        return this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
     }
     
     onMouseWheel(event) {
@@ -211,14 +354,18 @@ class AtmosphereSimulation {
         
         const pos = positions[viewType];
         if (pos) {
-            // 平滑过渡动画
-            const startPos = this.camera.position.clone();
-            const endPos = new THREE.Vector3(pos.x, pos.y, pos.z);
-            
-            this.animateCamera(startPos, endPos, 1000);
+            this.setCameraPosition(pos);
         }
     }
     
+    setCameraPosition(pos) {
+        // 平滑过渡动画
+        const startPos = this.camera.position.clone();
+        const endPos = new THREE.Vector3(pos.x, pos.y, pos.z);
+        
+        this.animateCamera(startPos, endPos, 1000);
+    }
+    
     animateCamera(startPos, endPos, duration) {
         const startTime = Date.now();
         
@@ -7,6 +7,7 @@ class EducationSystem {
     constructor(thermalSystem, particleSystem) {
         this.thermalSystem = thermalSystem;
         this.particleSystem = particleSystem;
+        this.scene = thermalSystem.scene;
         
         // 分步演示数据
         this.steps = [
@@ -211,7 +212,6 @@ class EducationSystem {
     
     showVerticalMovement() {
         this.particleSystem.start();
-        this.particleSystem.setSpeed(0.5);
         
         // 重点显示垂直运动
         this.createVerticalFlowIndicators();
@@ -223,8 +223,6 @@ class EducationSystem {
     }
     
     showHorizontalMovement() {
-        this.particleSystem.setSpeed(1.0);
-        
         // 显示完整环流
         this.createCirculationArrows();
     }
@@ -233,25 +231,23 @@ class EducationSystem {
         this.thermalSystem.setHeatIntensity(80);
         this.thermalSystem.setColdIntensity(60);
         this.particleSystem.start();
-        this.particleSystem.setSpeed(1.0);
     }
     
     // 可视化辅助方法
     highlightTemperatureField() {
-        // 创建温度高亮区域
-        const heatArea = this.createHighlightArea(-800, 0, 200, 0xff4444);
-        const coldArea = this.createHighlightArea(800, 0, 200, 0x4444ff);
+        // 在每个冷热源周围创建温度高亮区域
+        const areas = this.thermalSystem.getSources().map(source =>
+            this.createHighlightArea(source.x, source.z, source.radius / 4,
+                source.type === 'heat' ? 0xff4444 : 0x4444ff));
         
-        this.scene.add(heatArea);
-        this.scene.add(coldArea);
+        areas.forEach(area => this.scene.add(area));
         
         setTimeout(() => {
-            this.scene.remove(heatArea);
-            this.scene.remove(coldArea);
-            heatArea.geometry.dispose();
-            heatArea.material.dispose();
-            coldArea.geometry.dispose();
-            coldArea.material.dispose();
+            areas.forEach(area => {
+                this.scene.remove(area);
+                area.geometry.dispose();
+                area.material.dispose();
+            });
         }, 3000);
     }
     
@@ -317,22 +313,28 @@ class EducationSystem {
     }
     
     highlightPressureAreas() {
-        // 创建气压区域标记
+        // 按模拟得到的气压场标出高空和近地面的高低压中心
         const pressureMarkers = [];
         
-        // 高压区域
-        const highPressure = this.createPressureMarker(-800, 1500, 150, 0xff0000, 'H');
-        const lowPressure = this.createPressureMarker(800, 1500, 150, 0x0000ff, 'L');
+        [1500, 0].forEach(height => {
+            const centers = this.thermalSystem.findPressureCenters(height);
+            const markerY = Math.max(centers.high.y, 150);
+            
+            pressureMarkers.push(
+                this.createPressureMarker(centers.high.x, markerY, 150, 0xff0000, 'H'),
+                this.createPressureMarker(centers.low.x, markerY, 150, 0x0000ff, 'L')
+            );
+        });
         
-        pressureMarkers.push(highPressure, lowPressure);
-        this.scene.add(highPressure);
-        this.scene.add(lowPressure);
+        pressureMarkers.forEach(marker => this.scene.add(marker));
         
         setTimeout(() => {
             pressureMarkers.forEach(marker => {
                 this.scene.remove(marker);
-                marker.geometry.dispose();
-                marker.material.dispose();
+                marker.traverse(child => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) child.material.dispose();
+                });
             });
         }, 5000);
     }
@@ -1,45 +1,47 @@
 /**
  * 粒子系统 - 气流可视化
- * 负责创建和管理气流粒子，模拟大气运动
+ * 粒子模型的三维渲染适配层，把粒子位置和颜色（气块温度、气块与周围空气的温差或释放源颜色）写入点云缓冲区，
+ * 并可把每个粒子最近经过的位置画成逐渐变淡的尾迹，显示闭合的环流路径；释放源以同色的标记显示
  */
 
-class ParticleSystem {
+class ParticleSystem extends ParticleModel {
     constructor(scene, thermalSystem, params = {}) {
-        this.scene = scene;
-        this.thermalSystem = thermalSystem;
-        this.params = {
-            maxParticles: params.maxParticles || 1000,
+        super(thermalSystem, {
             particleSize: params.particleSize || 5,
-            particleSpeed: params.particleSpeed || 1,
+            colorMode: params.colorMode || 'temperature', // 'temperature' 按气块温度，'buoyancy' 按气块与周围空气的虚温差，'emitter' 按释放源颜色
+            excessColorRange: params.excessColorRange || 2, // 温差着色达到最深颜色的温差（K）
+            showTrails: params.showTrails || false,         // 是否显示粒子尾迹
+            trailLength: params.trailLength || 60,          // 每个粒子保留的尾迹点数
+            trailInterval: params.trailInterval || 30,      // 尾迹点的记录间隔（模拟秒）
+            trailOpacity: params.trailOpacity || 0.6,       // 尾迹最新一段的不透明度
             ...params
-        };
+        });
+        this.scene = scene;
         
-        this.particles = [];
         this.particleMesh = null;
-        this.positions = null;
         this.colors = null;
-        this.velocities = [];
-        this.isActive = false;
+        this.sizes = null;
+        
+        // 尾迹：每个粒子的最近位置存入长度为 trailLength 的环形缓冲区，所有粒子共用同一写入位置
+        this.trailMesh = null;
+        this.trailPoints = null;
+        this.trailBreaks = null;
+        this.trailHead = 0;
+        this.trailTimer = 0;
+        
+        // 释放源标记网格，键为释放源 id
+        this.emitterMeshes = new Map();
         
-        this.init();
-    }
-    
-    init() {
         this.createParticleSystem();
     }
     
     createParticleSystem() {
         const geometry = new THREE.BufferGeometry();
         
-        // 创建粒子属性数组
-        this.positions = new Float32Array(this.params.maxParticles * 3);
+        // 位置直接使用粒子模型的数组，颜色和尺寸由渲染层维护
         this.colors = new Float32Array(this.params.maxParticles * 3);
-        this.sizes = new Float32Array(this.params.maxParticles);
-        
-        // 初始化粒子
-        for (let i = 0; i < this.params.maxParticles; i++) {
-            this.initializeParticle(i);
-        }
+        this.sizes = new Float32Array(this.params.maxParticles).fill(this.params.particleSize);
+        this.updateColors();
         
         geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
         geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3));
@@ -82,32 +84,110 @@ class ParticleSystem {
         
         this.particleMesh = new THREE.Points(geometry, material);
         this.scene.add(this.particleMesh);
+        
+        this.createTrails();
     }
     
-    initializeParticle(index) {
-        const i3 = index * 3;
-        
-        // 随机初始位置
-        const x = (Math.random() - 0.5) * 4000;
-        const y = Math.random() * 2000;
-        const z = (Math.random() - 0.5) * 1000;
+    createTrails() {
+        // 相邻两个尾迹点连成一段线段，加法混合下颜色越暗越透明，旧的线段逐渐淡出
+        const count = this.params.maxParticles;
+        const length = this.params.trailLength;
+        this.trailPoints = new Float32Array(count * length * 3);
+        this.trailBreaks = new Uint8Array(count);
+        
+        const vertexCount = count * (length - 1) * 2;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
         
-        this.positions[i3] = x;
-        this.positions[i3 + 1] = y;
-        this.positions[i3 + 2] = z;
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: this.params.trailOpacity,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
         
-        // 基于位置的温度颜色
-        const temp = this.thermalSystem.getTemperatureAt(x, y, z);
-        const color = this.temperatureToParticleColor(temp);
+        this.trailMesh = new THREE.LineSegments(geometry, material);
+        this.trailMesh.visible = this.params.showTrails && this.particleMesh.visible;
+        this.scene.add(this.trailMesh);
+        this.clearTrails();
+    }
+    
+    clearTrails() {
+        // 把每个粒子的尾迹缩成当前位置一点（线段长度为零，不可见）
+        for (let i = 0; i < this.params.maxParticles; i++) {
+            this.restartTrail(i);
+        }
+        this.trailBreaks.fill(0);
+        this.trailHead = 0;
+        this.trailTimer = 0;
+        this.updateTrailGeometry();
+    }
+    
+    restartTrail(index) {
+        const length = this.params.trailLength;
+        const i3 = index * 3;
+        const start = index * length * 3;
+        for (let k = 0; k < length; k++) {
+            this.trailPoints[start + k * 3] = this.positions[i3];
+            this.trailPoints[start + k * 3 + 1] = this.positions[i3 + 1];
+            this.trailPoints[start + k * 3 + 2] = this.positions[i3 + 2];
+        }
+    }
+    
+    recordTrails() {
+        // 在环形缓冲区中写入每个粒子的当前位置；重新初始化或穿过周期边界的粒子从当前位置重新开始尾迹，
+        // 避免画出横穿模拟空间的线段
+        const length = this.params.trailLength;
+        this.trailHead = (this.trailHead + 1) % length;
         
-        this.colors[i3] = color.r;
-        this.colors[i3 + 1] = color.g;
-        this.colors[i3 + 2] = color.b;
+        for (let i = 0; i < this.params.maxParticles; i++) {
+            if (this.trailBreaks[i]) {
+                this.restartTrail(i);
+                this.trailBreaks[i] = 0;
+                continue;
+            }
+            const i3 = i * 3;
+            const slot = (i * length + this.trailHead) * 3;
+            this.trailPoints[slot] = this.positions[i3];
+            this.trailPoints[slot + 1] = this.positions[i3 + 1];
+            this.trailPoints[slot + 2] = this.positions[i3 + 2];
+        }
+        this.updateTrailGeometry();
+    }
+    
+    updateTrailGeometry() {
+        // 从最新的点向旧的点依次连线，线段颜色取粒子当前颜色并随点的时间先后线性变暗
+        const length = this.params.trailLength;
+        const positions = this.trailMesh.geometry.attributes.position.array;
+        const colors = this.trailMesh.geometry.attributes.color.array;
+        let vertex = 0;
         
-        this.sizes[index] = this.params.particleSize;
+        for (let i = 0; i < this.params.maxParticles; i++) {
+            const base = i * length;
+            const r = this.colors[i * 3];
+            const g = this.colors[i * 3 + 1];
+            const b = this.colors[i * 3 + 2];
+            
+            for (let k = 0; k < length - 1; k++) {
+                for (let end = 0; end < 2; end++) {
+                    const age = k + end;
+                    const slot = (base + (this.trailHead - age + length) % length) * 3;
+                    const fade = 1 - age / (length - 1);
+                    positions[vertex * 3] = this.trailPoints[slot];
+                    positions[vertex * 3 + 1] = this.trailPoints[slot + 1];
+                    positions[vertex * 3 + 2] = this.trailPoints[slot + 2];
+                    colors[vertex * 3] = r * fade;
+                    colors[vertex * 3 + 1] = g * fade;
+                    colors[vertex * 3 + 2] = b * fade;
+                    vertex++;
+                }
+            }
+        }
         
-        // 初始速度
-        this.velocities[index] = new THREE.Vector3(0, 0, 0);
+        this.trailMesh.geometry.attributes.position.needsUpdate = true;
+        this.trailMesh.geometry.attributes.color.needsUpdate = true;
     }
     
     temperatureToParticleColor(temperature) {
@@ -122,133 +202,244 @@ class ParticleSystem {
         return color;
     }
     
-    update(deltaTime) {
-        if (!this.isActive) return;
-        
-        const speedMultiplier = this.params.particleSpeed;
+    excessToParticleColor(excess) {
+        // 气块比周围空气暖为红色、冷为蓝色，温差越大颜色越深，与环境相同时为白色
+        const normalized = Math.max(-1, Math.min(1, excess / this.params.excessColorRange));
+        const color = new THREE.Color();
+        color.setHSL(normalized >= 0 ? 0 : 240 / 360, Math.abs(normalized), 0.6);
+        return color;
+    }
+    
+    updateColors() {
+        // 按气块温度、气块与周围空气的温差或释放源颜色着色（均匀分布的粒子和已删除释放源的粒子按温度）；
+        // 未使用的粒子为黑色，在加法混合下不可见
+        const mode = this.params.colorMode;
+        const emitterColors = new Map(this.emitters.map(emitter => [emitter.id, new THREE.Color(emitter.color)]));
+        const unused = new THREE.Color(0x000000);
         
         for (let i = 0; i < this.params.maxParticles; i++) {
-            this.updateParticle(i, deltaTime * speedMultiplier);
+            let color;
+            if (!this.alive[i]) {
+                color = unused;
+            } else if (mode === 'buoyancy') {
+                color = this.excessToParticleColor(this.temperatureExcess[i]);
+            } else if (mode === 'emitter' && emitterColors.has(this.emitterIds[i])) {
+                color = emitterColors.get(this.emitterIds[i]);
+            } else {
+                color = this.temperatureToParticleColor(this.temperatures[i]);
+            }
+            this.colors[i * 3] = color.r;
+            this.colors[i * 3 + 1] = color.g;
+            this.colors[i * 3 + 2] = color.b;
         }
+    }
+    
+    update(deltaTime) {
+        if (!super.update(deltaTime)) return false;
         
         // 更新缓冲区
+        this.updateColors();
         this.particleMesh.geometry.attributes.position.needsUpdate = true;
         this.particleMesh.geometry.attributes.color.needsUpdate = true;
         
+        // 尾迹按模拟时间记录，与模拟速度无关；暂停时不记录，已有的尾迹保留
+        if (this.params.showTrails) {
+            this.trailTimer += deltaTime * this.thermalSystem.params.timeScale;
+            if (this.trailTimer >= this.params.trailInterval) {
+                this.trailTimer %= this.params.trailInterval;
+                this.recordTrails();
+            }
+        }
+        
         // 更新时间uniform
         if (this.particleMesh.material.uniforms) {
             this.particleMesh.material.uniforms.time.value += deltaTime;
         }
+        return true;
     }
     
-    updateParticle(index, deltaTime) {
-        const i3 = index * 3;
-        
-        // 获取当前位置
-        const x = this.positions[i3];
-        const y = this.positions[i3 + 1];
-        const z = this.positions[i3 + 2];
-        
-        // 获取风速向量
-        const windVector = this.thermalSystem.getWindVectorAt(x, y, z);
-        
-        // 添加浮力效应（热空气上升，冷空气下降）
-        const temperature = this.thermalSystem.getTemperatureAt(x, y, z);
-        const baseTemperature = 20;
-        const buoyancyForce = (temperature - baseTemperature) * 0.001;
-        
-        // 更新速度
-        const velocity = this.velocities[index];
-        velocity.add(windVector.clone().multiplyScalar(deltaTime));
-        velocity.y += buoyancyForce * deltaTime;
-        
-        // 添加阻力
-        velocity.multiplyScalar(0.98);
+    seedParticles() {
+        // 重置或切换粒子来源后重新生成粒子，暂停时也立即刷新缓冲区并清除尾迹；
+        // 父类构造和重建粒子系统期间渲染对象尚未创建，只更新模型
+        super.seedParticles();
+        if (!this.trailMesh) return;
         
-        // 限制最大速度
-        const maxSpeed = 20;
-        if (velocity.length() > maxSpeed) {
-            velocity.normalize().multiplyScalar(maxSpeed);
-        }
-        
-        // 更新位置
-        this.positions[i3] += velocity.x * deltaTime;
-        this.positions[i3 + 1] += velocity.y * deltaTime;
-        this.positions[i3 + 2] += velocity.z * deltaTime;
-        
-        // 边界检查和重置
-        this.checkBoundaries(index);
-        
-        // 更新粒子颜色
-        const temp = this.thermalSystem.getTemperatureAt(
-            this.positions[i3], 
-            this.positions[i3 + 1], 
-            this.positions[i3 + 2]
-        );
-        const color = this.temperatureToParticleColor(temp);
-        
-        this.colors[i3] = color.r;
-        this.colors[i3 + 1] = color.g;
-        this.colors[i3 + 2] = color.b;
+        this.updateColors();
+        this.particleMesh.geometry.attributes.position.needsUpdate = true;
+        this.particleMesh.geometry.attributes.color.needsUpdate = true;
+        this.clearTrails();
+    }
+    
+    emitParticle(index, emitter) {
+        // 新放出的粒子从释放位置开始画尾迹
+        if (!super.emitParticle(index, emitter)) return false;
+        if (this.trailBreaks) this.trailBreaks[index] = 1;
+        return true;
+    }
+    
+    killParticle(index) {
+        super.killParticle(index);
+        if (this.trailBreaks) this.trailBreaks[index] = 1;
     }
     
     checkBoundaries(index) {
+        // 记录需要断开尾迹的粒子：重新初始化，或从周期边界一侧进入另一侧（位移超过半个模拟空间）
         const i3 = index * 3;
         const x = this.positions[i3];
-        const y = this.positions[i3 + 1];
         const z = this.positions[i3 + 2];
+        const reinitialized = super.checkBoundaries(index);
+        if (reinitialized || Math.abs(this.positions[i3] - x) > 2000 || Math.abs(this.positions[i3 + 2] - z) > 500) {
+            this.trailBreaks[index] = 1;
+        }
+        return reinitialized;
+    }
+    
+    setColorMode(mode) {
+        // 切换着色方式，暂停时也立即刷新颜色
+        this.params.colorMode = mode;
+        this.updateColors();
+        this.particleMesh.geometry.attributes.color.needsUpdate = true;
+        this.updateTrailGeometry();
+    }
+    
+    setParcelMoisture(enabled) {
+        super.setParcelMoisture(enabled);
+        this.updateColors();
+        this.particleMesh.geometry.attributes.color.needsUpdate = true;
+    }
+    
+    // 释放源改变后同步标记网格；启用或关闭释放源可能重新生成粒子，由 seedParticles 刷新缓冲区
+    addEmitter(options = {}) {
+        const id = super.addEmitter(options);
+        this.createEmitterMesh(this.getEmitter(id));
+        return id;
+    }
+    
+    removeEmitter(id) {
+        this.disposeEmitterMesh(id);
+        return super.removeEmitter(id);
+    }
+    
+    updateEmitter(id, changes = {}) {
+        if (!super.updateEmitter(id, changes)) return false;
+        // 尺寸、方向和颜色都可能改变，直接重建标记
+        this.disposeEmitterMesh(id);
+        this.createEmitterMesh(this.getEmitter(id));
+        return true;
+    }
+    
+    clearEmitters() {
+        this.emitters.forEach(emitter => this.disposeEmitterMesh(emitter.id));
+        super.clearEmitters();
+    }
+    
+    createEmitterMesh(emitter) {
+        // 释放源标记：点为小球，线为细长方体，面为半透明平面，冷热源地面释放为贴地圆环，颜色与放出的粒子相同
+        const { type, axis, size } = emitter;
+        let geometry;
+        if (type === 'point') {
+            geometry = new THREE.SphereGeometry(30, 16, 12);
+        } else if (type === 'line') {
+            geometry = new THREE.BoxGeometry(axis === 'x' ? size : 10, axis === 'y' ? size : 10, axis === 'z' ? size : 10);
+        } else if (type === 'plane') {
+            geometry = new THREE.PlaneGeometry(size, size);
+            if (axis === 'y') geometry.rotateX(-Math.PI / 2);
+            else if (axis === 'x') geometry.rotateY(Math.PI / 2);
+        } else {
+            geometry = new THREE.RingGeometry(0.9, 1, 48).rotateX(-Math.PI / 2);
+        }
         
-        let needsReset = false;
+        const material = new THREE.MeshBasicMaterial({
+            color: emitter.color,
+            transparent: true,
+            opacity: type === 'plane' ? 0.2 : 0.7,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData = { emitterId: emitter.id };
         
-        // 检查边界
-        if (Math.abs(x) > 2000 || y < 0 || y > 2000 || Math.abs(z) > 500) {
-            needsReset = true;
+        this.emitterMeshes.set(emitter.id, mesh);
+        this.positionEmitterMesh(emitter);
+        this.scene.add(mesh);
+    }
+    
+    positionEmitterMesh(emitter) {
+        // 标记放在释放范围的中心；冷热源地面释放的圆环跟随冷热源的位置和半径
+        const mesh = this.emitterMeshes.get(emitter.id);
+        mesh.visible = emitter.enabled && this.particleMesh.visible;
+        
+        if (emitter.type === 'surface') {
+            const source = this.thermalSystem.getSource(emitter.sourceId);
+            if (!source) {
+                mesh.visible = false;
+                return;
+            }
+            mesh.scale.set(source.radius, 1, source.radius);
+            mesh.position.set(source.x, this.thermalSystem.getTerrainHeightAt(source.x, source.z) + 5, source.z);
+            return;
         }
         
-        // 如果粒子离开场景，重新初始化
-        if (needsReset) {
-            this.initializeParticle(index);
-        }
+        const vertical = (emitter.type === 'line' && emitter.axis === 'y') ||
+            (emitter.type === 'plane' && emitter.axis !== 'y');
+        const height = emitter.height + (vertical ? emitter.size / 2 : 0);
+        mesh.position.set(emitter.x, this.thermalSystem.getTerrainHeightAt(emitter.x, emitter.z) + height, emitter.z);
     }
     
-    start() {
-        this.isActive = true;
+    updateEmitterMeshes() {
+        // 冷热源可能被拖动、地形可能改变，每帧重新放置标记
+        this.emitters.forEach(emitter => this.positionEmitterMesh(emitter));
     }
     
-    pause() {
-        this.isActive = false;
+    disposeEmitterMesh(id) {
+        const mesh = this.emitterMeshes.get(id);
+        if (!mesh) return;
+        
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        this.emitterMeshes.delete(id);
     }
     
-    reset() {
-        this.pause();
-        for (let i = 0; i < this.params.maxParticles; i++) {
-            this.initializeParticle(i);
-        }
-        this.particleMesh.geometry.attributes.position.needsUpdate = true;
-        this.particleMesh.geometry.attributes.color.needsUpdate = true;
+    setTrailsEnabled(enabled) {
+        // 打开尾迹时从粒子当前位置开始记录
+        this.params.showTrails = enabled;
+        this.clearTrails();
+        this.trailMesh.visible = enabled && this.particleMesh.visible;
+    }
+    
+    setTrailLength(length) {
+        // 改变尾迹点数需要重新分配缓冲区，已有尾迹清除
+        this.params.trailLength = Math.max(2, Math.min(240, Math.round(length)));
+        this.disposeTrails();
+        this.createTrails();
     }
     
-    setSpeed(speed) {
-        this.params.particleSpeed = Math.max(0.1, Math.min(3, speed));
+    setTrailOpacity(opacity) {
+        this.params.trailOpacity = opacity;
+        this.trailMesh.material.opacity = opacity;
     }
     
     setParticleCount(count) {
-        const newCount = Math.max(100, Math.min(2000, count));
-        this.params.maxParticles = newCount;
-        
-        // 重新创建粒子系统
-        this.dispose();
-        this.init();
+        // 只重新创建粒子和轨迹，风向箭头不受影响
+        this.disposeParticles();
+        super.setParticleCount(count);
+        this.createParticleSystem();
     }
     
     toggleVisibility(visible) {
         if (this.particleMesh) {
             this.particleMesh.visible = visible;
         }
+        if (this.trailMesh) {
+            this.trailMesh.visible = visible && this.params.showTrails;
+        }
+        this.updateEmitterMeshes();
     }
     
     // 创建风向箭头可视化
     createWindArrows() {
+        // 箭头固定在格点上，与当前风速无关；静风开始的情景起风后箭头随之出现
         this.windArrows = [];
         const arrowGroup = new THREE.Group();
         
@@ -258,26 +449,21 @@ class ParticleSystem {
         levels.forEach(level => {
             for (let x = -1500; x <= 1500; x += spacing) {
                 for (let z = -300; z <= 300; z += spacing) {
-                    const windVector = this.thermalSystem.getWindVectorAt(x, level, z);
-                    
-                    if (windVector.length() > 0.1) {
-                        const arrow = this.createArrow(windVector, x, level, z);
-                        arrowGroup.add(arrow);
-                        this.windArrows.push(arrow);
-                    }
+                    const arrow = this.createArrow(x, level, z);
+                    arrowGroup.add(arrow);
+                    this.windArrows.push(arrow);
                 }
             }
         });
         
         this.scene.add(arrowGroup);
         this.windArrowGroup = arrowGroup;
+        this.updateWindArrows();
     }
     
-    createArrow(vector, x, y, z) {
-        const length = Math.min(vector.length() * 50, 100);
-        const direction = vector.clone().normalize();
-        
-        const arrowGeometry = new THREE.CylinderGeometry(0, 5, length, 8);
+    createArrow(x, y, z) {
+        // 几何体按最大长度100创建，实际长度由 updateWindArrows 缩放
+        const arrowGeometry = new THREE.CylinderGeometry(0, 5, 100, 8);
         const arrowMaterial = new THREE.MeshBasicMaterial({
             color: 0x00ff00,
             transparent: true,
@@ -287,15 +473,6 @@ class ParticleSystem {
         const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
         arrow.position.set(x, y, z);
         
-        // 设置箭头方向
-        arrow.lookAt(
-            x + direction.x * length,
-            y + direction.y * length,
-            z + direction.z * length
-        );
-        
-        arrow.rotateX(Math.PI / 2);
-        
         return arrow;
     }
     
@@ -306,6 +483,10 @@ class ParticleSystem {
             const pos = arrow.position;
             const windVector = this.thermalSystem.getWindVectorAt(pos.x, pos.y, pos.z);
             
+            // 风速过小时方向没有意义，隐藏箭头
+            arrow.visible = windVector.length() > 0.1;
+            if (!arrow.visible) return;
+            
             const length = Math.min(windVector.length() * 50, 100);
             const direction = windVector.clone().normalize();
             
@@ -326,29 +507,38 @@ class ParticleSystem {
         }
     }
     
-    dispose() {
+    disposeTrails() {
+        if (this.trailMesh) {
+            this.scene.remove(this.trailMesh);
+            this.trailMesh.geometry.dispose();
+            this.trailMesh.material.dispose();
+            this.trailMesh = null;
+        }
+    }
+    
+    disposeParticles() {
         if (this.particleMesh) {
             this.scene.remove(this.particleMesh);
             this.particleMesh.geometry.dispose();
             this.particleMesh.material.dispose();
         }
+        this.disposeTrails();
+    }
+    
+    dispose() {
+        this.disposeParticles();
         
+        // 清空后再打开风场图层时重新创建箭头
         if (this.windArrowGroup) {
             this.scene.remove(this.windArrowGroup);
             this.windArrows.forEach(arrow => {
                 arrow.geometry.dispose();
                 arrow.material.dispose();
             });
+            this.windArrowGroup = null;
+            this.windArrows = null;
         }
     }
-    
-    getStats() {
-        return {
-            particleCount: this.params.maxParticles,
-            activeParticles: this.particles.length,
-            averageVelocity: this.velocities.reduce((sum, v) => sum + v.length(), 0) / this.velocities.length
-        };
-    }
 }
 
 // 导出供其他模块使用
@@ -0,0 +1,279 @@
+/**
+ * 情景预设库
+ * 管理命名的情景预设：每个预设配置热力系统、相机视角和可视化图层，并附带情景说明
+ */
+
+// 预设均为可直接序列化为JSON的纯数据：
+// thermal 中 surface.base 为基础地表类型，regions 中带 radius 的为圆形区域、否则为
+// xMin/xMax/zMin/zMax 限定的矩形区域（缺省边界延伸到地面边缘）；
+// lapseRateLayers、inversions 为背景温度廓线（见 ThermalModel.getReferenceTemperature）；
+// boundaries 为各面的边界条件（见 ThermalModel.normalizeBoundaries）；
+// backgroundWind 为叠加在热力环流上的背景风（见 ThermalModel.setBackgroundWind）；
+// tracerSources 为持续排放污染物的烟囱（见 ThermalModel.addTracerSource），没有烟囱的情景也写出空数组；
+// layers 为各可视化图层的开关，每个预设列出全部图层（含 smoke），切换情景时不沿用上一个情景的显示；
+// camera 为 view（'front'/'side'/'top'/'free'）或 position（{x, y, z}）
+const SCENARIO_PRESETS = [
+    {
+        id: 'basic',
+        name: '基本热力环流',
+        description: '左侧热源、右侧冷源。热源上空气受热上升，冷源上空气冷却下沉，近地面由冷源吹向热源，高空由热源吹向冷源，形成闭合的热力环流。',
+        thermal: {
+            terrain: 'flat',
+            surface: { base: 'land', regions: [{ type: 'water', xMin: 0 }] },
+            sources: [
+                { type: 'heat', x: -800, z: 0 },
+                { type: 'cold', x: 800, z: 0 }
+            ],
+            heatIntensity: 80,
+            coldIntensity: 60,
+            diurnalCycle: false,
+            timeOfDay: 9,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'wall', xMax: 'wall', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 0, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: []
+        },
+        camera: { view: 'free' },
+        layers: { axes: true, temperature: true, pressure: true, wind: true, particles: true, clouds: true, smoke: false }
+    },
+    {
+        id: 'seaLandBreeze',
+        name: '海陆风',
+        description: '西侧为陆地、东侧为海洋。白天陆地增温快，近地面风从海洋吹向陆地（海风）；夜间陆地降温快，风向反转为陆风。拖动地方时或播放一整天观察风向的昼夜转换。',
+        thermal: {
+            terrain: 'flat',
+            surface: { base: 'land', regions: [{ type: 'water', xMin: 0 }] },
+            sources: [],
+            diurnalCycle: true,
+            timeOfDay: 10,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'wall', xMax: 'wall', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 0, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: []
+        },
+        camera: { view: 'front' },
+        layers: { axes: true, temperature: true, pressure: true, wind: true, particles: true, clouds: false, smoke: false }
+    },
+    {
+        id: 'valleyWind',
+        name: '山谷风',
+        description: '两侧为山坡、中间为谷底。白天山坡受太阳照射增温快，气流沿山坡上升（谷风）；夜间山坡辐射冷却，冷空气沿山坡下沉汇入谷底（山风）。',
+        thermal: {
+            terrain: 'valley',
+            terrainPeakHeight: 800,
+            surface: { base: 'forest', regions: [{ type: 'land', xMin: -600, xMax: 600 }] },
+            sources: [],
+            diurnalCycle: true,
+            timeOfDay: 10,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'wall', xMax: 'wall', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 0, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: []
+        },
+        camera: { view: 'front' },
+        layers: { axes: true, temperature: true, pressure: false, wind: true, particles: true, clouds: false, smoke: false }
+    },
+    {
+        id: 'urbanHeatIsland',
+        name: '城市热岛',
+        description: '城市中心建筑密集、人为热排放多，气温高于郊区。城区空气上升，近地面风从郊区吹向城市（城市风），高空气流由城市流向郊区。',
+        thermal: {
+            terrain: 'flat',
+            surface: {
+                base: 'land',
+                regions: [
+                    { type: 'forest', xMax: -1400 },
+                    { type: 'forest', xMin: 1400 },
+                    { type: 'urban', x: 0, z: 0, radius: 600 }
+                ]
+            },
+            sources: [
+                { type: 'heat', x: 0, z: 0, radius: 700, intensity: 70 },
+                { type: 'cold', x: -1600, z: 0, radius: 400, intensity: 30 },
+                { type: 'cold', x: 1600, z: 0, radius: 400, intensity: 30 }
+            ],
+            heatIntensity: 70,
+            coldIntensity: 30,
+            diurnalCycle: false,
+            timeOfDay: 9,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'wall', xMax: 'wall', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 0, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: []
+        },
+        camera: { view: 'free' },
+        layers: { axes: true, temperature: true, pressure: true, wind: true, particles: true, clouds: true, smoke: false }
+    },
+    {
+        id: 'inversion',
+        name: '逆温与大气污染',
+        description: '城市上空500米处有一层逆温，逆温层以上气温反而升高。城区受热上升的空气到达逆温层后受到向下的浮力，环流被压在逆温层以下，近地面的污染物难以向高空扩散。关闭逆温层后对比上升气流能达到的高度。',
+        thermal: {
+            terrain: 'flat',
+            surface: { base: 'land', regions: [{ type: 'urban', x: 0, z: 0, radius: 600 }] },
+            sources: [
+                { type: 'heat', x: 0, z: 0, radius: 700, intensity: 70 }
+            ],
+            heatIntensity: 70,
+            diurnalCycle: false,
+            timeOfDay: 9,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'wall', xMax: 'wall', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 0, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [{ base: 500, depth: 100, strength: 5 }],
+            tracerSources: []
+        },
+        camera: { view: 'front' },
+        layers: { axes: true, temperature: true, pressure: false, wind: true, particles: true, clouds: false, smoke: false }
+    },
+    {
+        id: 'landSeaCells',
+        name: '海陆相间',
+        description: '东西两侧为周期边界，西半部陆地、东半部海洋的格局向两侧无限重复，形成一串海陆相间的地带。白天每条海岸线上都出现由海洋吹向陆地的海风，从东侧流出的气流从西侧重新进入。',
+        thermal: {
+            terrain: 'flat',
+            surface: { base: 'land', regions: [{ type: 'water', xMin: 0 }] },
+            sources: [],
+            diurnalCycle: true,
+            timeOfDay: 10,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'periodic', xMax: 'periodic', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 0, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: []
+        },
+        camera: { view: 'front' },
+        layers: { axes: true, temperature: true, pressure: true, wind: true, particles: true, clouds: false, smoke: false }
+    },
+    {
+        id: 'coastalPollution',
+        name: '海陆风与城市污染',
+        description: '海岸附近的城区有一座持续排放的烟囱。午后海风把烟羽吹向内陆；入夜后风向转为陆风，停留在内陆的污染物又被带回城区和海岸，并飘向海面。在城区、内陆和海面放置探测点，比较浓度的昼夜变化。',
+        thermal: {
+            terrain: 'flat',
+            surface: {
+                base: 'land',
+                regions: [
+                    { type: 'water', xMin: 0 },
+                    { type: 'urban', x: -500, z: 0, radius: 300 }
+                ]
+            },
+            sources: [],
+            diurnalCycle: true,
+            timeOfDay: 14,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'wall', xMax: 'wall', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 0, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: [{ x: -300, z: 0, height: 60, rate: 200 }]
+        },
+        camera: { view: 'front' },
+        layers: { axes: true, temperature: false, pressure: false, wind: true, particles: false, clouds: false, smoke: true }
+    },
+    {
+        id: 'offshoreWind',
+        name: '离岸风与海风',
+        description: '西侧为陆地、东侧为海洋，东西两侧为开放边界，盛行西风从陆地吹向海洋（离岸风）。海风与背景风方向相反，1.5 m/s的离岸风就足以让海风无法登陆，受热的陆地空气被吹向海面，海风只在离岸较远的海面上出现。逐渐调小背景风速，观察海风锋向海岸移动。',
+        thermal: {
+            terrain: 'flat',
+            surface: { base: 'land', regions: [{ type: 'water', xMin: 0 }] },
+            sources: [],
+            diurnalCycle: true,
+            timeOfDay: 10,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'open', xMax: 'open', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 1.5, direction: 270, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: []
+        },
+        camera: { view: 'front' },
+        layers: { axes: true, temperature: true, pressure: false, wind: true, particles: true, clouds: false, smoke: false }
+    },
+    {
+        id: 'onshoreWind',
+        name: '向岸风与海风',
+        description: '与“离岸风与海风”相同的海岸，盛行风改为从海洋吹向陆地的东风（向岸风），与海风方向一致。凉爽的海洋空气被推向内陆，冷暖空气的分界（海风锋）比没有背景风时深入内陆得多。对比两个情景中午后近地面的温度分布。',
+        thermal: {
+            terrain: 'flat',
+            surface: { base: 'land', regions: [{ type: 'water', xMin: 0 }] },
+            sources: [],
+            diurnalCycle: true,
+            timeOfDay: 10,
+            coriolisEnabled: false,
+            latitude: 30,
+            boundaries: { xMin: 'open', xMax: 'open', zMin: 'periodic', zMax: 'periodic', top: 'wall' },
+            backgroundWind: { speed: 1.5, direction: 90, shear: 0 },
+            lapseRateLayers: [{ top: 2000, lapseRate: 0.0065 }],
+            inversions: [],
+            tracerSources: []
+        },
+        camera: { view: 'front' },
+        layers: { axes: true, temperature: true, pressure: false, wind: true, particles: true, clouds: false, smoke: false }
+    }
+];
+
+class ScenarioLibrary {
+    constructor(presets = SCENARIO_PRESETS) {
+        this.presets = new Map();
+        presets.forEach(preset => this.register(preset));
+    }
+    
+    register(preset) {
+        // 注册预设（对象或JSON字符串），同 id 的预设被替换；缺少 id 或名称时返回 false
+        const data = typeof preset === 'string' ? JSON.parse(preset) : preset;
+        if (!data || !data.id || !data.name) return false;
+        
+        this.presets.set(data.id, {
+            id: data.id,
+            name: data.name,
+            description: data.description || '',
+            thermal: data.thermal || {},
+            camera: data.camera || null,
+            layers: data.layers || {}
+        });
+        return true;
+    }
+    
+    get(id) {
+        return this.presets.get(id) || null;
+    }
+    
+    list() {
+        return Array.from(this.presets.values());
+    }
+    
+    serialize(id) {
+        // 导出预设的JSON文本，便于保存后再次注册
+        const preset = this.get(id);
+        return preset ? JSON.stringify(preset, null, 2) : null;
+    }
+}
+
+ScenarioLibrary.PRESETS = SCENARIO_PRESETS;
+
+// 浏览器中作为全局类使用，在 Node 中通过 require 载入
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioLibrary;
+} else {
+    window.ScenarioLibrary = ScenarioLibrary;
+}
@@ -0,0 +1,46 @@
+/**
+ * 求解线程 - 在 Web Worker 中积分热力模型
+ * 主线程按顺序转发模型调用和固定步，求解线程每完成一个物理步就把场打包为类型化数组转移回主线程：
+ * 各场保持模型中的精度（气压为 Float64Array，其余为 Float32Array），昼夜地表状态为 Float64Array
+ */
+
+importScripts('core/ThermalModel.js');
+
+let model = null;
+const bufferPool = []; // 主线程用完后交还的数组，打包下一个状态时复用
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch(message.type) {
+        case 'init':
+            model = new ThermalModel(message.params);
+            break;
+        case 'call':
+            model[message.method](...message.args);
+            break;
+        case 'advance':
+            advance(message);
+            break;
+        case 'recycle':
+            bufferPool.push(message.fields);
+            break;
+    }
+};
+
+function advance({ tick, deltas, epoch }) {
+    // 逐个固定步推进，调用序列与主线程中逐步推进时一致；发生物理步的固定步各产生一个状态
+    const states = [];
+    const transfer = [];
+    
+    deltas.forEach((deltaTime, i) => {
+        if (model.updateFields(deltaTime) > 0) {
+            const state = model.exportState(bufferPool.pop());
+            state.tick = tick + i + 1;
+            states.push(state);
+            Object.values(state.fields).forEach(array => transfer.push(array.buffer));
+        }
+    });
+    
+    self.postMessage({ type: 'advanced', tick: tick + deltas.length, epoch, states }, transfer);
+}
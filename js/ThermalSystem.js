@@ -1,150 +1,455 @@
 /**
- * 热力系统 - 核心物理模拟
- * 负责温度场计算、气压场生成和热力驱动
+ * 热力系统 - 热力模型的三维渲染适配层
+ * 在 ThermalModel 的物理模拟之上负责冷热源网格体、温度场、等压面、云体和污染物烟雾的可视化；
+ * 支持 Web Worker 时场的积分在求解线程中进行，本线程的模型副本只接收求解状态用于查询和渲染
  */
 
-class ThermalSystem {
+class ThermalSystem extends ThermalModel {
     constructor(scene, params = {}) {
-        this.scene = scene;
-        this.params = {
-            gridSize: params.gridSize || 50,
-            heightLevels: params.heightLevels || 20,
-            heatSourcePos: params.heatSourcePos || { x: -800, z: 0 },
-            coldSourcePos: params.coldSourcePos || { x: 800, z: 0 },
-            baseTemperature: params.baseTemperature || 20,
+        super({
+            useWorker: params.useWorker !== undefined ? params.useWorker : true, // 是否在求解线程中积分
+            workerUrl: params.workerUrl || 'js/SolverWorker.js',
+            maxSolverLag: params.maxSolverLag || 30, // 求解线程最多落后的固定步数，超过后主线程暂缓下发
             ...params
-        };
-        
-        // 温度场和气压场数据
-        this.temperatureField = [];
-        this.pressureField = [];
-        this.densityField = [];
-        
-        // 热源和冷源
-        this.heatSource = null;
-        this.coldSource = null;
-        this.heatIntensity = 80;
-        this.coldIntensity = 60;
+        });
+        this.scene = scene;
         
-        // 可视化对象
+        // 可视化对象；冷热源网格体和烟囱网格体分别按冷热源、污染源 id 索引
+        this.sourceMeshes = new Map();
+        this.tracerSourceMeshes = new Map();
         this.temperatureMesh = null;
         this.pressureMeshes = [];
         this.windArrows = [];
-        
-        this.init();
+        this.cloudMesh = null;
+        this.smokeMesh = null;
+        
+        // 显示值在最近两个求解状态之间插值：from 为过渡起点，to 为最新状态
+        this.temperatureTarget = null;
+        this.cloudTarget = null;
+        this.smokeTarget = null;
+        this.isobarTargets = [];
+        this.previousStepTick = 0;
+        this.lastStepTick = 0;
+        this.renderedAlpha = -1;
+        
+        // 信息面板显示的最大风速（m/s），每个新的场状态计算一次，不随每帧重新扫描网格
+        this.maxWindSpeed = 0;
+        this.maxSurfaceWindSpeed = 0;
+        
+        // 固定步计数：issuedTick 为已下发的步数，solvedTick 为求解线程已完成的步数，
+        // consumedTick 为粒子和渲染已推进到的步数；epoch 在重置时递增，用于丢弃过期的状态
+        this.solverWorker = null;
+        this.solverEpoch = 0;
+        this.issuedTick = 0;
+        this.solvedTick = 0;
+        this.consumedTick = 0;
+        this.pendingDeltas = [];
+        this.solvedStates = [];
+        this.inSolverCommand = false;
+        
+        this.createVisualization();
+        if (this.params.useWorker) this.startSolverWorker(params);
     }
     
-    init() {
-        this.initializeFields();
-        this.createHeatSources();
+    createVisualization() {
+        this.sources.forEach(source => this.createSourceMesh(source));
+        this.tracerSources.forEach(source => this.createTracerSourceMesh(source));
         this.createTemperatureVisualization();
         this.createPressureVisualization();
+        this.createCloudVisualization();
+        this.createSmokeVisualization();
+        this.updateVisualization();
     }
     
-    initializeFields() {
-        const { gridSize, heightLevels } = this.params;
-        
-        // 初始化三维网格
-        for (let h = 0; h < heightLevels; h++) {
-            this.temperatureField[h] = [];
-            this.pressureField[h] = [];
-            this.densityField[h] = [];
-            
-            for (let x = 0; x < gridSize; x++) {
-                this.temperatureField[h][x] = [];
-                this.pressureField[h][x] = [];
-                this.densityField[h][x] = [];
-                
-                for (let z = 0; z < gridSize; z++) {
-                    // 基础温度随高度递减（标准大气）
-                    const height = (h / heightLevels) * 2000;
-                    const baseTemp = this.params.baseTemperature - height * 0.0065;
-                    
-                    this.temperatureField[h][x][z] = baseTemp;
-                    this.pressureField[h][x][z] = this.calculateBasePressure(height);
-                    this.densityField[h][x][z] = this.calculateDensity(
-                        this.pressureField[h][x][z], 
-                        this.temperatureField[h][x][z]
-                    );
-                }
-            }
+    startSolverWorker(params) {
+        // 不支持 Worker（如 Node 或 file:// 打开页面）时留在主线程中积分
+        if (typeof Worker === 'undefined') return;
+        
+        try {
+            this.solverWorker = new Worker(this.params.workerUrl);
+        } catch (error) {
+            console.warn('求解线程创建失败，改为在主线程中积分：', error);
+            return;
         }
+        
+        this.solverWorker.onmessage = (event) => this.onSolverMessage(event.data);
+        this.solverWorker.onerror = (event) => {
+            console.warn('求解线程出错，改为在主线程中积分：', event.message);
+            this.stopSolverWorker();
+        };
+        // 求解线程用同样的参数构造模型，此后的状态改变都按调用顺序转发
+        this.solverWorker.postMessage({ type: 'init', params: params });
     }
     
-    calculateBasePressure(height) {
-        // 标准大气压公式
-        return 101325 * Math.pow(1 - 0.0065 * height / 288.15, 5.255);
+    stopSolverWorker() {
+        // 未完成的固定步丢弃，从最近一次收到的状态继续在主线程中积分
+        if (!this.solverWorker) return;
+        this.solverWorker.terminate();
+        this.solverWorker = null;
+        this.pendingDeltas = [];
+        this.solvedStates = [];
+        this.issuedTick = this.consumedTick;
+        this.solvedTick = this.consumedTick;
     }
     
-    calculateDensity(pressure, temperature) {
-        // 理想气体状态方程
-        const R = 287.05; // 干空气气体常数
-        return pressure / (R * (temperature + 273.15));
+    runOnSolver(method, args, run) {
+        // 在本线程的模型副本上执行，再把同一调用转发给求解线程；嵌套调用只转发最外层。
+        // args 为函数时在执行后求值，用于转发执行结果
+        const outermost = !this.inSolverCommand;
+        this.inSolverCommand = true;
+        let result;
+        try {
+            result = run();
+        } finally {
+            if (outermost) this.inSolverCommand = false;
+        }
+        
+        if (outermost && this.solverWorker) {
+            this.solverWorker.postMessage({ type: 'call', method: method, args: typeof args === 'function' ? args() : args });
+        }
+        return result;
     }
     
-    createHeatSources() {
-        // 创建热源（红色圆柱体）
-        const heatGeometry = new THREE.CylinderGeometry(200, 200, 50, 32);
-        const heatMaterial = new THREE.MeshLambertMaterial({
-            color: 0xff4444,
-            transparent: true,
-            opacity: 0.7
+    advanceSolver(deltaTime) {
+        // 下发一个固定步（真实秒）；求解线程落后太多时返回 false，本帧不再推进
+        if (this.solverWorker && this.issuedTick - this.solvedTick >= this.params.maxSolverLag) {
+            return false;
+        }
+        this.pendingDeltas.push(deltaTime);
+        this.issuedTick++;
+        return true;
+    }
+    
+    flushSolver() {
+        // 把本帧下发的固定步一次发给求解线程
+        if (!this.solverWorker || this.pendingDeltas.length === 0) return;
+        
+        this.solverWorker.postMessage({
+            type: 'advance',
+            tick: this.issuedTick - this.pendingDeltas.length,
+            deltas: this.pendingDeltas,
+            epoch: this.solverEpoch
         });
+        this.pendingDeltas = [];
+    }
+    
+    nextSolvedTick() {
+        // 推进到下一个已求解的固定步，没有可用状态时返回 false；
+        // 每个固定步看到的场与单线程逐步推进时相同，粒子轨迹因此可以复现
+        if (this.solverWorker) {
+            if (this.consumedTick >= this.solvedTick) return false;
+            this.consumedTick++;
+            while (this.solvedStates.length > 0 && this.solvedStates[0].tick <= this.consumedTick) {
+                this.applySolverState(this.solvedStates.shift());
+            }
+            return true;
+        }
         
-        this.heatSource = new THREE.Mesh(heatGeometry, heatMaterial);
-        this.heatSource.position.set(this.params.heatSourcePos.x, 25, this.params.heatSourcePos.z);
-        this.scene.add(this.heatSource);
+        if (this.pendingDeltas.length === 0) return false;
+        this.consumedTick++;
+        this.solvedTick = this.consumedTick;
+        if (super.updateFields(this.pendingDeltas.shift()) > 0) {
+            this.updateVisualization(true);
+        }
+        return true;
+    }
+    
+    onSolverMessage(message) {
+        // 重置前下发的固定步的结果直接退回
+        if (message.epoch !== this.solverEpoch) {
+            message.states.forEach(state => this.recycleSolverState(state));
+            return;
+        }
         
-        // 创建冷源（蓝色圆柱体）
-        const coldGeometry = new THREE.CylinderGeometry(200, 200, 50, 32);
-        const coldMaterial = new THREE.MeshLambertMaterial({
-            color: 0x4444ff,
+        this.solvedTick = message.tick;
+        this.solvedStates.push(...message.states);
+    }
+    
+    applySolverState(state) {
+        this.importState(state);
+        this.recycleSolverState(state);
+        this.updateVisualization(true);
+    }
+    
+    recycleSolverState(state) {
+        // 数组交还求解线程复用，转移后本线程不再持有
+        if (!this.solverWorker) return;
+        const fields = state.fields;
+        this.solverWorker.postMessage(
+            { type: 'recycle', fields: fields },
+            Object.keys(fields).map(name => fields[name].buffer)
+        );
+    }
+    
+    // 模型状态改变后同步渲染对象和求解线程；父类构造期间可视化尚未创建，只更新模型
+    addSource(options = {}) {
+        const id = this.runOnSolver('addSource', [options], () => super.addSource(options));
+        if (this.sourceMeshes) this.createSourceMesh(this.getSource(id));
+        return id;
+    }
+    
+    removeSource(id) {
+        const source = this.getSource(id);
+        if (source && this.sourceMeshes) this.disposeSourceMesh(source);
+        return this.runOnSolver('removeSource', [id], () => super.removeSource(id));
+    }
+    
+    updateSource(id, changes = {}) {
+        if (!this.runOnSolver('updateSource', [id, changes], () => super.updateSource(id, changes))) return false;
+        this.syncSourceMesh(this.getSource(id));
+        return true;
+    }
+    
+    addTracerSource(options = {}) {
+        const id = this.runOnSolver('addTracerSource', [options], () => super.addTracerSource(options));
+        if (this.tracerSourceMeshes) {
+            this.createTracerSourceMesh(this.tracerSources.find(source => source.id === id));
+        }
+        return id;
+    }
+    
+    removeTracerSource(id) {
+        if (this.tracerSourceMeshes) this.disposeTracerSourceMesh(id);
+        return this.runOnSolver('removeTracerSource', [id], () => super.removeTracerSource(id));
+    }
+    
+    releaseTracerPuff(x, z, height = 50, mass = 10) {
+        // 暂停时也立即显示释放的烟团
+        this.runOnSolver('releaseTracerPuff', [x, z, height, mass], () => super.releaseTracerPuff(x, z, height, mass));
+        this.updateVisualization();
+    }
+    
+    clearTracer() {
+        this.tracerSources.forEach(source => this.disposeTracerSourceMesh(source.id));
+        this.runOnSolver('clearTracer', [], () => super.clearTracer());
+        this.updateVisualization();
+    }
+    
+    setTerrain(heights) {
+        // 高度函数不能跨线程传递，求解线程收到的是本线程算好的高度数组
+        this.runOnSolver('setTerrain', () => [this.terrainHeight], () => super.setTerrain(heights));
+        this.sources.forEach(source => this.positionSourceMesh(source));
+        this.tracerSources.forEach(source => this.positionTracerSourceMesh(source));
+    }
+    
+    generateTerrain(type, peakHeight = this.params.terrainPeakHeight) {
+        this.runOnSolver('generateTerrain', [type, peakHeight], () => super.generateTerrain(type, peakHeight));
+    }
+    
+    setTerrainFromImage(pixels, width, height, maxHeight = this.params.terrainPeakHeight) {
+        this.runOnSolver('setTerrainFromImage', [pixels, width, height, maxHeight],
+            () => super.setTerrainFromImage(pixels, width, height, maxHeight));
+    }
+    
+    setSurfaceType(gridX, gridZ, type) {
+        return this.runOnSolver('setSurfaceType', [gridX, gridZ, type], () => super.setSurfaceType(gridX, gridZ, type));
+    }
+    
+    paintSurface(worldX, worldZ, radius, type) {
+        return this.runOnSolver('paintSurface', [worldX, worldZ, radius, type],
+            () => super.paintSurface(worldX, worldZ, radius, type));
+    }
+    
+    paintSurfaceRect(xMin, xMax, zMin, zMax, type) {
+        return this.runOnSolver('paintSurfaceRect', [xMin, xMax, zMin, zMax, type],
+            () => super.paintSurfaceRect(xMin, xMax, zMin, zMax, type));
+    }
+    
+    fillSurface(type) {
+        return this.runOnSolver('fillSurface', [type], () => super.fillSurface(type));
+    }
+    
+    applyScenario(settings = {}) {
+        this.runOnSolver('applyScenario', [settings], () => super.applyScenario(settings));
+        this.sources.forEach(source => this.positionSourceMesh(source));
+        this.tracerSources.forEach(source => this.positionTracerSourceMesh(source));
+    }
+    
+    setDiurnalCycle(enabled) {
+        // 昼夜循环开启时冷热源不起作用，其网格体随之隐藏
+        this.runOnSolver('setDiurnalCycle', [enabled], () => super.setDiurnalCycle(enabled));
+        if (!this.sourceMeshes) return;
+        this.sourceMeshes.forEach(mesh => {
+            mesh.visible = !enabled;
+        });
+    }
+    
+    setTimeOfDay(hours) {
+        this.runOnSolver('setTimeOfDay', [hours], () => super.setTimeOfDay(hours));
+    }
+    
+    setHeatIntensity(intensity) {
+        this.runOnSolver('setHeatIntensity', [intensity], () => super.setHeatIntensity(intensity));
+    }
+    
+    setColdIntensity(intensity) {
+        this.runOnSolver('setColdIntensity', [intensity], () => super.setColdIntensity(intensity));
+    }
+    
+    setCoriolisEnabled(enabled) {
+        this.runOnSolver('setCoriolisEnabled', [enabled], () => super.setCoriolisEnabled(enabled));
+    }
+    
+    setLatitude(latitude) {
+        this.runOnSolver('setLatitude', [latitude], () => super.setLatitude(latitude));
+    }
+    
+    setTemperatureProfile(profile = {}) {
+        this.runOnSolver('setTemperatureProfile', [profile], () => super.setTemperatureProfile(profile));
+    }
+    
+    setRelaxationTime(seconds) {
+        this.runOnSolver('setRelaxationTime', [seconds], () => super.setRelaxationTime(seconds));
+    }
+    
+    setBoundaryLayerDepth(depth) {
+        this.runOnSolver('setBoundaryLayerDepth', [depth], () => super.setBoundaryLayerDepth(depth));
+    }
+    
+    setBoundaryConditions(boundaries = {}) {
+        this.runOnSolver('setBoundaryConditions', [boundaries], () => super.setBoundaryConditions(boundaries));
+    }
+    
+    setBackgroundWind(wind = {}) {
+        this.runOnSolver('setBackgroundWind', [wind], () => super.setBackgroundWind(wind));
+        // 背景风计入最大风速，暂停时也要更新面板
+        this.updateWindSpeeds();
+    }
+    
+    reset() {
+        this.runOnSolver('reset', [], () => super.reset());
+        
+        // 重置前下发的固定步和尚未取用的状态作废
+        if (this.solvedStates) {
+            this.solvedStates.forEach(state => this.recycleSolverState(state));
+            this.solvedStates = [];
+            this.pendingDeltas = [];
+            this.solverEpoch++;
+            this.issuedTick = 0;
+            this.solvedTick = 0;
+            this.consumedTick = 0;
+        }
+        if (this.temperatureMesh) this.updateVisualization();
+    }
+    
+    getWindVectorAt(x, y, z) {
+        // 渲染层使用 THREE.Vector3 表示风矢量
+        const wind = super.getWindVectorAt(x, y, z);
+        return new THREE.Vector3(wind.x, wind.y, wind.z);
+    }
+    
+    createSourceMesh(source) {
+        // 热源为红色、冷源为蓝色的圆柱体或方块，尺寸为影响半径的四分之一
+        const size = source.radius / 4;
+        const geometry = source.shape === 'square'
+            ? new THREE.BoxGeometry(size * 2, 50, size * 2)
+            : new THREE.CylinderGeometry(size, size, 50, 32);
+        const material = new THREE.MeshLambertMaterial({
+            color: source.type === 'heat' ? 0xff4444 : 0x4444ff,
             transparent: true,
             opacity: 0.7
         });
         
-        this.coldSource = new THREE.Mesh(coldGeometry, coldMaterial);
-        this.coldSource.position.set(this.params.coldSourcePos.x, 25, this.params.coldSourcePos.z);
-        this.scene.add(this.coldSource);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData = { sourceId: source.id, draggable: true, type: source.type, shape: source.shape, radius: source.radius };
+        mesh.visible = !this.params.diurnalCycle;
+        
+        // 添加光源效果，随网格体一起移动
+        const light = new THREE.PointLight(source.type === 'heat' ? 0xff6666 : 0x6666ff, 1, 1000);
+        light.position.set(0, 75, 0);
+        mesh.add(light);
         
-        // 添加光源效果
-        const heatLight = new THREE.PointLight(0xff6666, 1, 1000);
-        heatLight.position.set(this.params.heatSourcePos.x, 100, this.params.heatSourcePos.z);
-        this.scene.add(heatLight);
+        this.sourceMeshes.set(source.id, mesh);
+        this.positionSourceMesh(source);
+        this.scene.add(mesh);
+    }
+    
+    positionSourceMesh(source) {
+        // 网格体底面贴合地形
+        const mesh = this.sourceMeshes.get(source.id);
+        mesh.position.set(source.x, this.getTerrainHeightAt(source.x, source.z) + 25, source.z);
+    }
+    
+    disposeSourceMesh(source) {
+        const mesh = this.sourceMeshes.get(source.id);
+        if (!mesh) return;
+        
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        this.sourceMeshes.delete(source.id);
+    }
+    
+    syncSourceMesh(source) {
+        // 类型、形状或半径改变时重建网格体，否则只移动位置
+        const mesh = this.sourceMeshes.get(source.id);
+        if (mesh && mesh.userData.type === source.type && mesh.userData.shape === source.shape &&
+            mesh.userData.radius === source.radius) {
+            this.positionSourceMesh(source);
+            return;
+        }
         
-        const coldLight = new THREE.PointLight(0x6666ff, 1, 1000);
-        coldLight.position.set(this.params.coldSourcePos.x, 100, this.params.coldSourcePos.z);
-        this.scene.add(coldLight);
+        this.disposeSourceMesh(source);
+        this.createSourceMesh(source);
+    }
+    
+    getSourceMesh(id) {
+        return this.sourceMeshes.get(id) || null;
+    }
+    
+    createTracerSourceMesh(source) {
+        // 烟囱：灰色细圆柱，顶端位于排放高度
+        const height = Math.max(source.height, 10);
+        const geometry = new THREE.CylinderGeometry(12, 18, height, 16);
+        const material = new THREE.MeshLambertMaterial({ color: 0x616161 });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData = { tracerSourceId: source.id, height: height };
+        mesh.visible = !this.smokeMesh || this.smokeMesh.visible;
+        
+        this.tracerSourceMeshes.set(source.id, mesh);
+        this.positionTracerSourceMesh(source);
+        this.scene.add(mesh);
+    }
+    
+    positionTracerSourceMesh(source) {
+        const mesh = this.tracerSourceMeshes.get(source.id);
+        mesh.position.set(source.x, this.getTerrainHeightAt(source.x, source.z) + mesh.userData.height / 2, source.z);
+    }
+    
+    disposeTracerSourceMesh(id) {
+        const mesh = this.tracerSourceMeshes.get(id);
+        if (!mesh) return;
+        
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        this.tracerSourceMeshes.delete(id);
     }
     
     createTemperatureVisualization() {
         // 创建温度场可视化（体素化表示）
         const geometry = new THREE.BufferGeometry();
         const positions = [];
-        const colors = [];
         
-        const { gridSize, heightLevels } = this.params;
-        const spacing = 4000 / gridSize;
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
         
-        for (let h = 0; h < heightLevels; h += 2) {
-            for (let x = 0; x < gridSize; x += 2) {
-                for (let z = 0; z < gridSize; z += 2) {
-                    const temp = this.temperatureField[h][x][z];
-                    const color = this.temperatureToColor(temp);
-                    
+        for (let h = 0; h < ny; h += 2) {
+            for (let x = 0; x < nx; x += 2) {
+                for (let z = 0; z < nz; z += 2) {
                     positions.push(
-                        (x - gridSize/2) * spacing,
-                        h * 100,
-                        (z - gridSize/2) * spacing
+                        this.gridToWorldX(x),
+                        h * dy,
+                        this.gridToWorldZ(z)
                     );
-                    
-                    colors.push(color.r, color.g, color.b);
                 }
             }
         }
         
+        // 颜色由 renderVisualization 按插值后的温度写入
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(positions.length), 3));
+        this.temperatureTarget = this.createVisualTarget(positions.length / 3);
         
         const material = new THREE.PointsMaterial({
             size: 30,
@@ -158,12 +463,12 @@ class ThermalSystem {
     }
     
     createPressureVisualization() {
-        // 创建等压面可视化
+        // 创建等压面可视化：取初始状态下若干高度的气压值作为等压面
         this.pressureMeshes = [];
         
-        const pressureLevels = [101000, 100000, 99000, 98000, 97000];
+        const isobarHeights = [200, 600, 1000, 1400, 1800];
         
-        pressureLevels.forEach((pressure, index) => {
+        isobarHeights.forEach((height, index) => {
             const geometry = new THREE.PlaneGeometry(4000, 1000, 50, 20);
             const material = new THREE.MeshBasicMaterial({
                 color: new THREE.Color().setHSL(index * 0.1, 0.7, 0.5),
@@ -174,188 +479,254 @@ class ThermalSystem {
             });
             
             const mesh = new THREE.Mesh(geometry, material);
-            mesh.position.y = 500 + index * 200;
             mesh.rotation.x = -Math.PI / 2;
+            mesh.userData.pressure = this.getColumnPressureAt(0, 0, height);
             this.scene.add(mesh);
             this.pressureMeshes.push(mesh);
+            this.isobarTargets.push(this.createVisualTarget(geometry.attributes.position.count));
         });
     }
     
-    temperatureToColor(temperature) {
-        // 温度到颜色的映射
-        const minTemp = -10;
-        const maxTemp = 40;
-        const normalized = (temperature - minTemp) / (maxTemp - minTemp);
+    computeIsobarHeights(mesh, out) {
+        // 等压面随气压场起伏：暖区高空等压面上凸，近地面下凹
+        const exaggeration = this.params.isobarExaggeration;
+        const positions = mesh.geometry.attributes.position;
+        
+        // 平面绕X轴旋转-90°后，局部(x, y, z)对应世界(x, z, -y)
+        let meanHeight = 0;
+        for (let i = 0; i < positions.count; i++) {
+            out[i] = this.getIsobarHeight(positions.getX(i), -positions.getY(i), mesh.userData.pressure);
+            meanHeight += out[i] / positions.count;
+        }
         
-        const hue = (1 - normalized) * 0.7; // 红色到蓝色
-        const color = new THREE.Color();
-        color.setHSL(hue, 0.8, 0.5);
-        return color;
+        for (let i = 0; i < positions.count; i++) {
+            out[i] = meanHeight + (out[i] - meanHeight) * exaggeration;
+        }
     }
     
-    updateFields(deltaTime) {
-        // 更新温度场
-        this.updateTemperatureField();
+    createCloudVisualization() {
+        // 云体：按云水含量控制透明度的点云
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
+        const positions = [];
+        
+        for (let h = 0; h < ny; h++) {
+            for (let x = 0; x < nx; x += 2) {
+                for (let z = 0; z < nz; z += 2) {
+                    positions.push(
+                        this.gridToWorldX(x),
+                        h * dy,
+                        this.gridToWorldZ(z)
+                    );
+                }
+            }
+        }
         
-        // 更新气压场
-        this.updatePressureField();
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('alpha', new THREE.BufferAttribute(new Float32Array(positions.length / 3), 1));
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(0xf5f5f5) },
+                size: { value: 160 }
+            },
+            vertexShader: `
+                attribute float alpha;
+                varying float vAlpha;
+                uniform float size;
+                
+                void main() {
+                    vAlpha = alpha;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = alpha > 0.0 ? size * (300.0 / -mvPosition.z) : 0.0;
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 color;
+                varying float vAlpha;
+                
+                void main() {
+                    float dist = length(gl_PointCoord - vec2(0.5));
+                    if (dist > 0.5) discard;
+                    
+                    gl_FragColor = vec4(color, vAlpha * (1.0 - dist * 2.0));
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
         
-        // 更新可视化
-        this.updateVisualization();
+        this.cloudMesh = new THREE.Points(geometry, material);
+        this.scene.add(this.cloudMesh);
+        this.cloudTarget = this.createVisualTarget(positions.length / 3);
     }
     
-    updateTemperatureField() {
-        const { gridSize, heightLevels } = this.params;
-        
-        // 热源和冷源的影响
-        for (let h = 0; h < heightLevels; h++) {
-            for (let x = 0; x < gridSize; x++) {
-                for (let z = 0; z < gridSize; z++) {
-                    const worldX = (x - gridSize/2) * (4000/gridSize);
-                    const worldZ = (z - gridSize/2) * (1000/gridSize);
-                    
-                    // 计算到热源的距离
-                    const heatDist = Math.sqrt(
-                        Math.pow(worldX - this.params.heatSourcePos.x, 2) +
-                        Math.pow(worldZ - this.params.heatSourcePos.z, 2)
-                    );
-                    
-                    // 计算到冷源的距离
-                    const coldDist = Math.sqrt(
-                        Math.pow(worldX - this.params.coldSourcePos.x, 2) +
-                        Math.pow(worldZ - this.params.coldSourcePos.z, 2)
-                    );
-                    
-                    // 热源影响
-                    if (heatDist < 800) {
-                        const heatInfluence = (1 - heatDist / 800) * this.heatIntensity / 100;
-                        this.temperatureField[h][x][z] += heatInfluence * 0.1;
-                    }
-                    
-                    // 冷源影响
-                    if (coldDist < 800) {
-                        const coldInfluence = (1 - coldDist / 800) * this.coldIntensity / 100;
-                        this.temperatureField[h][x][z] -= coldInfluence * 0.1;
-                    }
-                    
-                    // 温度随高度递减
-                    const height = (h / heightLevels) * 2000;
-                    const lapseRate = 0.0065; // 温度垂直递减率
-                    this.temperatureField[h][x][z] = 
-                        this.temperatureField[h][x][z] - height * lapseRate * 0.01;
+    computeCloudAlpha(out) {
+        // 云体透明度取云水比含量相对显示阈值的比例
+        const { nx, ny, nz, cloudThreshold } = this.params;
+        let index = 0;
+        
+        for (let h = 0; h < ny; h++) {
+            for (let x = 0; x < nx; x += 2) {
+                for (let z = 0; z < nz; z += 2) {
+                    out[index++] = Math.min(this.cloudWaterField[this.cellIndex(h, x, z)] / cloudThreshold, 1) * 0.8;
                 }
             }
         }
     }
     
-    updatePressureField() {
-        const { gridSize, heightLevels } = this.params;
+    createSmokeVisualization() {
+        // 污染物烟雾：与云体相同的点云画法，X方向逐格点取样，以分辨细长的烟羽
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
+        const positions = [];
         
-        for (let h = 0; h < heightLevels; h++) {
-            for (let x = 0; x < gridSize; x++) {
-                for (let z = 0; z < gridSize; z++) {
-                    const temp = this.temperatureField[h][x][z];
-                    const height = (h / heightLevels) * 2000;
-                    
-                    // 根据温度计算气压变化
-                    const basePressure = this.calculateBasePressure(height);
-                    const tempRatio = (temp + 273.15) / 288.15;
-                    const pressureVariation = basePressure * (1 - (tempRatio - 1) * 0.1);
-                    
-                    this.pressureField[h][x][z] = pressureVariation;
-                    this.densityField[h][x][z] = this.calculateDensity(
-                        pressureVariation, temp
-                    );
+        for (let h = 0; h < ny; h++) {
+            for (let x = 0; x < nx; x++) {
+                for (let z = 0; z < nz; z += 2) {
+                    positions.push(this.gridToWorldX(x), h * dy, this.gridToWorldZ(z));
                 }
             }
         }
-    }
-    
-    updateVisualization() {
-        if (!this.temperatureMesh) return;
         
-        // 更新温度可视化
-        const colors = [];
-        const { gridSize, heightLevels } = this.params;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('alpha', new THREE.BufferAttribute(new Float32Array(positions.length / 3), 1));
+        
+        const material = this.cloudMesh.material.clone();
+        material.uniforms.color.value = new THREE.Color(0x6d5d4b);
+        material.uniforms.size.value = 120;
         
-        for (let h = 0; h < heightLevels; h += 2) {
-            for (let x = 0; x < gridSize; x += 2) {
-                for (let z = 0; z < gridSize; z += 2) {
-                    const temp = this.temperatureField[h][x][z];
-                    const color = this.temperatureToColor(temp);
-                    colors.push(color.r, color.g, color.b);
+        this.smokeMesh = new THREE.Points(geometry, material);
+        this.scene.add(this.smokeMesh);
+        this.smokeTarget = this.createVisualTarget(positions.length / 3);
+    }
+    
+    computeSmokeAlpha(out) {
+        // 烟雾透明度按浓度相对显示浓度的平方根变化，低浓度的烟羽边缘也能看到
+        const { nx, ny, nz, tracerDisplayConcentration } = this.params;
+        let index = 0;
+        
+        for (let h = 0; h < ny; h++) {
+            for (let x = 0; x < nx; x++) {
+                for (let z = 0; z < nz; z += 2) {
+                    const ratio = Math.max(0, this.tracerField[this.cellIndex(h, x, z)]) / tracerDisplayConcentration;
+                    out[index++] = Math.min(Math.sqrt(ratio), 1) * 0.7;
                 }
             }
         }
-        
-        this.temperatureMesh.geometry.setAttribute(
-            'color', 
-            new THREE.Float32BufferAttribute(colors, 3)
-        );
     }
     
-    setHeatIntensity(intensity) {
-        this.heatIntensity = Math.max(0, Math.min(100, intensity));
+    computeTemperatures(out) {
+        // 温度点云每隔一个格点取样
+        const { nx, ny, nz } = this.params;
+        let index = 0;
+        
+        for (let h = 0; h < ny; h += 2) {
+            for (let x = 0; x < nx; x += 2) {
+                for (let z = 0; z < nz; z += 2) {
+                    out[index++] = this.temperatureField[this.cellIndex(h, x, z)];
+                }
+            }
+        }
     }
     
-    setColdIntensity(intensity) {
-        this.coldIntensity = Math.max(0, Math.min(100, intensity));
+    createVisualTarget(size) {
+        return { from: new Float32Array(size), to: new Float32Array(size) };
     }
     
-    getTemperatureAt(x, y, z) {
-        // 获取指定位置的温度
-        const gridSize = this.params.gridSize;
-        const spacing = 4000 / gridSize;
-        
-        const gridX = Math.floor((x + 2000) / spacing);
-        const gridZ = Math.floor((z + 500) / spacing);
-        const gridH = Math.floor(y / 100);
-        
-        if (gridX >= 0 && gridX < gridSize && 
-            gridZ >= 0 && gridZ < gridSize && 
-            gridH >= 0 && gridH < this.params.heightLevels) {
-            return this.temperatureField[gridH][gridX][gridZ];
-        }
+    temperatureToColor(temperature) {
+        // 温度到颜色的映射
+        const minTemp = -10;
+        const maxTemp = 40;
+        const normalized = (temperature - minTemp) / (maxTemp - minTemp);
         
-        return this.params.baseTemperature;
+        const hue = (1 - normalized) * 0.7; // 红色到蓝色
+        const color = new THREE.Color();
+        color.setHSL(hue, 0.8, 0.5);
+        return color;
     }
     
-    getPressureAt(x, y, z) {
-        // 获取指定位置的气压
-        const gridSize = this.params.gridSize;
-        const spacing = 4000 / gridSize;
+    updateVisualization(interpolate = false) {
+        // 由当前场计算新的显示目标。interpolate 为 true（收到新的求解状态）时从当前显示值
+        // 经过一个物理步的固定步数过渡到新目标，否则（初始化、重置）直接显示
+        if (!this.temperatureMesh) return;
         
-        const gridX = Math.floor((x + 2000) / spacing);
-        const gridZ = Math.floor((z + 500) / spacing);
-        const gridH = Math.floor(y / 100);
+        this.updateWindSpeeds();
         
-        if (gridX >= 0 && gridX < gridSize && 
-            gridZ >= 0 && gridZ < gridSize && 
-            gridH >= 0 && gridH < this.params.heightLevels) {
-            return this.pressureField[gridH][gridX][gridZ];
-        }
+        const alpha = this.getVisualAlpha();
+        const targets = [this.temperatureTarget, this.cloudTarget, this.smokeTarget, ...this.isobarTargets];
+        targets.forEach(target => {
+            for (let i = 0; i < target.to.length; i++) {
+                target.from[i] += (target.to[i] - target.from[i]) * alpha;
+            }
+        });
         
-        return 101325; // 标准大气压
+        this.computeTemperatures(this.temperatureTarget.to);
+        this.computeCloudAlpha(this.cloudTarget.to);
+        this.computeSmokeAlpha(this.smokeTarget.to);
+        this.pressureMeshes.forEach((mesh, index) => this.computeIsobarHeights(mesh, this.isobarTargets[index].to));
+        
+        if (interpolate) {
+            this.previousStepTick = this.lastStepTick;
+        } else {
+            targets.forEach(target => target.from.set(target.to));
+            this.previousStepTick = this.consumedTick;
+        }
+        this.lastStepTick = this.consumedTick;
+        this.renderedAlpha = -1;
+        this.renderVisualization();
     }
     
-    getWindVectorAt(x, y, z) {
-        // 计算该位置的风向量（基于气压梯度）
-        const delta = 50;
+    updateWindSpeeds() {
+        this.maxWindSpeed = this.getMaxWindSpeed();
+        this.maxSurfaceWindSpeed = this.getMaxWindSpeed(true);
+    }
+    
+    getVisualAlpha() {
+        // 过渡进度：按最近两个求解状态之间的固定步数计
+        const interval = this.lastStepTick - this.previousStepTick;
+        if (interval <= 0) return 1;
+        return Math.min(1, (this.consumedTick - this.lastStepTick) / interval);
+    }
+    
+    renderVisualization() {
+        // 把插值后的显示值写入几何体属性，过渡进度不变时跳过
+        if (!this.temperatureMesh) return;
+        const alpha = this.getVisualAlpha();
+        if (alpha === this.renderedAlpha) return;
+        this.renderedAlpha = alpha;
         
-        const p0 = this.getPressureAt(x, y, z);
-        const px = this.getPressureAt(x + delta, y, z);
-        const pz = this.getPressureAt(x, y, z + delta);
+        const lerp = (target, i) => target.from[i] + (target.to[i] - target.from[i]) * alpha;
         
-        // 气压梯度力
-        const fx = -(px - p0) / delta;
-        const fz = -(pz - p0) / delta;
+        const colors = this.temperatureMesh.geometry.attributes.color;
+        for (let i = 0; i < colors.count; i++) {
+            const color = this.temperatureToColor(lerp(this.temperatureTarget, i));
+            colors.setXYZ(i, color.r, color.g, color.b);
+        }
+        colors.needsUpdate = true;
         
-        // 简化：垂直方向基于温度差异
-        const temp = this.getTemperatureAt(x, y, z);
-        const tempBelow = this.getTemperatureAt(x, y - 100, z);
-        const fy = (temp - tempBelow) * 0.01;
+        this.pressureMeshes.forEach((mesh, index) => {
+            const positions = mesh.geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                positions.setZ(i, lerp(this.isobarTargets[index], i));
+            }
+            positions.needsUpdate = true;
+        });
+        
+        const cloudAlpha = this.cloudMesh.geometry.attributes.alpha;
+        for (let i = 0; i < cloudAlpha.count; i++) {
+            cloudAlpha.array[i] = lerp(this.cloudTarget, i);
+        }
+        cloudAlpha.needsUpdate = true;
         
-        return new THREE.Vector3(fx, fy, fz);
+        const smokeAlpha = this.smokeMesh.geometry.attributes.alpha;
+        for (let i = 0; i < smokeAlpha.count; i++) {
+            smokeAlpha.array[i] = lerp(this.smokeTarget, i);
+        }
+        smokeAlpha.needsUpdate = true;
     }
     
     toggleVisualization(type, visible) {
@@ -370,10 +741,28 @@ class ThermalSystem {
                     mesh.visible = visible;
                 });
                 break;
+            case 'clouds':
+                if (this.cloudMesh) {
+                    this.cloudMesh.visible = visible;
+                }
+                break;
+            case 'smoke':
+                if (this.smokeMesh) {
+                    this.smokeMesh.visible = visible;
+                }
+                this.tracerSourceMeshes.forEach(mesh => {
+                    mesh.visible = visible;
+                });
+                break;
         }
     }
     
     dispose() {
+        if (this.solverWorker) {
+            this.solverWorker.terminate();
+            this.solverWorker = null;
+        }
+        
         if (this.temperatureMesh) {
             this.scene.remove(this.temperatureMesh);
             this.temperatureMesh.geometry.dispose();
@@ -386,19 +775,22 @@ class ThermalSystem {
             mesh.material.dispose();
         });
         
-        if (this.heatSource) {
-            this.scene.remove(this.heatSource);
-            this.heatSource.geometry.dispose();
-            this.heatSource.material.dispose();
+        if (this.cloudMesh) {
+            this.scene.remove(this.cloudMesh);
+            this.cloudMesh.geometry.dispose();
+            this.cloudMesh.material.dispose();
         }
         
-        if (this.coldSource) {
-            this.scene.remove(this.coldSource);
-            this.coldSource.geometry.dispose();
-            this.coldSource.material.dispose();
+        if (this.smokeMesh) {
+            this.scene.remove(this.smokeMesh);
+            this.smokeMesh.geometry.dispose();
+            this.smokeMesh.material.dispose();
         }
+        
+        this.sources.forEach(source => this.disposeSourceMesh(source));
+        this.tracerSources.forEach(source => this.disposeTracerSourceMesh(source.id));
     }
 }
 
 // 导出供其他模块使用
-window.ThermalSystem = ThermalSystem;
\ No newline at end of file
+window.ThermalSystem = ThermalSystem;
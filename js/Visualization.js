@@ -15,6 +15,8 @@ class Visualization {
             pressure: true,
             wind: true,
             particles: true,
+            clouds: true,
+            smoke: true,
             axes: true  // 新增坐标轴显示控制
         };
         
@@ -23,6 +25,15 @@ class Visualization {
         this.axisHelper = null;
         this.infoPanel = null;
         
+        // 污染物浓度探测点，每项含位置、场景中的标记和实时数据中的读数元素
+        this.probes = [];
+        this.maxProbes = 6;
+        this.probeHeight = 10; // 探测高度（离地，m）
+        
+        // 风速廓线：位置 (x, z) 上方各离地高度（m）的风向风速，对比近地面气流与高空气流
+        this.profile = { x: -800, z: 0, marker: null, rows: [] };
+        this.profileHeights = [10, 50, 100, 200, 300, 500, 800, 1200, 1600];
+        
         this.init();
     }
     
@@ -30,6 +41,7 @@ class Visualization {
         this.createGridLines();
         this.createAxisHelper();
         this.setupInfoPanel();
+        this.createProfile();
     }
     
     createGridLines() {
@@ -303,6 +315,12 @@ class Visualization {
             case 'pressure':
                 this.thermalSystem.toggleVisualization('pressure', visible);
                 break;
+            case 'clouds':
+                this.thermalSystem.toggleVisualization('clouds', visible);
+                break;
+            case 'smoke':
+                this.thermalSystem.toggleVisualization('smoke', visible);
+                break;
             case 'wind':
                 if (visible && !this.particleSystem.windArrows) {
                     this.particleSystem.createWindArrows();
@@ -322,22 +340,135 @@ class Visualization {
     
     updateInfoPanel() {
         // 更新实时数据显示
-        const hotTemp = this.thermalSystem.getTemperatureAt(-800, 100, 0);
-        const coldTemp = this.thermalSystem.getTemperatureAt(800, 100, 0);
-        
-        document.getElementById('hotTemp').textContent = `${hotTemp.toFixed(1)}°C`;
-        document.getElementById('coldTemp').textContent = `${coldTemp.toFixed(1)}°C`;
-        
-        // 计算最大风速
-        let maxWindSpeed = 0;
-        for (let x = -1500; x <= 1500; x += 500) {
-            for (let z = -300; z <= 300; z += 150) {
-                const wind = this.thermalSystem.getWindVectorAt(x, 1000, z);
-                maxWindSpeed = Math.max(maxWindSpeed, wind.length());
-            }
+        // 冷热源温度取第一个热源和第一个冷源上方的近地层气温
+        const heatSource = this.thermalSystem.getSources('heat')[0];
+        const coldSource = this.thermalSystem.getSources('cold')[0];
+        
+        document.getElementById('hotTemp').textContent = heatSource ?
+            `${this.thermalSystem.getTemperatureAt(heatSource.x, 100, heatSource.z).toFixed(1)}°C` : '--';
+        document.getElementById('coldTemp').textContent = coldSource ?
+            `${this.thermalSystem.getTemperatureAt(coldSource.x, 100, coldSource.z).toFixed(1)}°C` : '--';
+        
+        // 风速取自求解得到的网格风场（m/s），由 ThermalSystem 在每个新状态到达时算好
+        document.getElementById('maxWindSpeed').textContent =
+            `${this.thermalSystem.maxWindSpeed.toFixed(1)} m/s`;
+        document.getElementById('surfaceWindSpeed').textContent =
+            `${this.thermalSystem.maxSurfaceWindSpeed.toFixed(1)} m/s`;
+        
+        const ground = this.thermalSystem.getTerrainHeightAt(this.profile.x, this.profile.z);
+        this.profile.rows.forEach(row => {
+            const y = Math.min(ground + row.height, 2000);
+            row.valueElement.textContent = this.formatWind(this.thermalSystem.getWindVectorAt(this.profile.x, y, this.profile.z));
+        });
+        
+        this.probes.forEach(probe => {
+            const concentration = this.thermalSystem.getTracerAt(probe.x, probe.y, probe.z);
+            probe.valueElement.textContent = `${concentration.toFixed(concentration < 10 ? 1 : 0)} μg/m³`;
+        });
+    }
+    
+    addProbe(x, z) {
+        // 在地面点 (x, z) 上方放置浓度探测点，超过上限时替换最早的一个
+        if (this.probes.length >= this.maxProbes) {
+            this.removeProbe(this.probes[0]);
         }
         
-        document.getElementById('maxWindSpeed').textContent = `${(maxWindSpeed * 10).toFixed(1)} m/s`;
+        const y = this.thermalSystem.getTerrainHeightAt(x, z) + this.probeHeight;
+        const number = this.probes.length > 0 ? this.probes[this.probes.length - 1].number + 1 : 1;
+        
+        const marker = new THREE.Group();
+        const pin = new THREE.Mesh(
+            new THREE.ConeGeometry(20, 60, 12),
+            new THREE.MeshBasicMaterial({ color: 0xffc107 })
+        );
+        pin.rotation.x = Math.PI;
+        pin.position.y = 30;
+        marker.add(pin);
+        marker.add(this.createScaleLabel(`P${number}`, new THREE.Vector3(0, 100, 0), '#b8860b'));
+        marker.position.set(x, y, z);
+        this.scene.add(marker);
+        
+        const row = document.createElement('div');
+        row.className = 'data-item';
+        const label = document.createElement('span');
+        label.textContent = `探测点 P${number}（${Math.round(x)}, ${Math.round(z)}）：`;
+        const valueElement = document.createElement('span');
+        valueElement.textContent = '0 μg/m³';
+        row.appendChild(label);
+        row.appendChild(valueElement);
+        document.getElementById('probeReadout').appendChild(row);
+        
+        const probe = { number, x, y, z, marker, row, valueElement };
+        this.probes.push(probe);
+        return probe;
+    }
+    
+    removeProbe(probe) {
+        const index = this.probes.indexOf(probe);
+        if (index < 0) return;
+        
+        this.probes.splice(index, 1);
+        this.scene.remove(probe.marker);
+        probe.marker.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        probe.row.remove();
+    }
+    
+    clearProbes() {
+        this.probes.slice().forEach(probe => this.removeProbe(probe));
+    }
+    
+    updateProbeHeights() {
+        // 地形改变后探测点随地面高度移动
+        this.probes.forEach(probe => {
+            probe.y = this.thermalSystem.getTerrainHeightAt(probe.x, probe.z) + this.probeHeight;
+            probe.marker.position.y = probe.y;
+        });
+    }
+    
+    createProfile() {
+        // 廓线位置的竖直标记线和实时数据中每个高度的一行读数（高处在上）
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(0, 2000, 0)
+        ]);
+        this.profile.marker = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xff9800 }));
+        this.profile.marker.position.set(this.profile.x, 0, this.profile.z);
+        this.scene.add(this.profile.marker);
+        
+        const container = document.getElementById('profileReadout');
+        this.profile.rows = this.profileHeights.slice().reverse().map(height => {
+            const row = document.createElement('div');
+            row.className = 'data-item';
+            const label = document.createElement('span');
+            label.textContent = `离地 ${height} m：`;
+            const valueElement = document.createElement('span');
+            row.appendChild(label);
+            row.appendChild(valueElement);
+            container.appendChild(row);
+            return { height, valueElement };
+        });
+    }
+    
+    setProfilePosition(x, z = this.profile.z) {
+        this.profile.x = x;
+        this.profile.z = z;
+        this.profile.marker.position.set(x, 0, z);
+        this.updateInfoPanel();
+    }
+    
+    formatWind(wind) {
+        // 按气象惯例用来向表示水平风（X指向东、Z指向南），如“西风 2.1 m/s”
+        const speed = Math.sqrt(wind.x * wind.x + wind.z * wind.z);
+        if (speed < 0.05) return '静风';
+        const names = ['北风', '东北风', '东风', '东南风', '南风', '西南风', '西风', '西北风'];
+        const direction = Math.atan2(-wind.x, wind.z) * 180 / Math.PI;
+        return `${names[(Math.round(direction / 45) + 8) % 8]} ${speed.toFixed(1)} m/s`;
     }
     
     createStreamlines() {
@@ -496,6 +627,14 @@ class Visualization {
         if (this.streamlineGroup) {
             this.scene.remove(this.streamlineGroup);
         }
+        
+        this.clearProbes();
+        
+        if (this.profile.marker) {
+            this.scene.remove(this.profile.marker);
+            this.profile.marker.geometry.dispose();
+            this.profile.marker.material.dispose();
+        }
     }
 }
 
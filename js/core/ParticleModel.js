@@ -0,0 +1,520 @@
+/**
+ * 粒子模型 - 随气流运动的气块
+ * 每个粒子是一个小气块，携带自己的位温和水汽：升降时沿干绝热线（饱和后沿湿绝热线）变温，
+ * 并与周围空气比较得到浮力。粒子默认均匀分布在整个空间，也可只从释放源（点、线、面或冷热源地面上方）放出；
+ * 不依赖 THREE 和 DOM，可在 Node 中单独运行
+ */
+
+// Node 中通过 require 载入依赖，浏览器中直接使用全局类
+const RandomGenerator = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./SeededRandom.js');
+
+const EMITTER_TYPES = ['point', 'line', 'plane', 'surface'];
+
+class ParticleModel {
+    constructor(thermalModel, params = {}) {
+        this.thermalSystem = thermalModel;
+        this.params = {
+            maxParticles: params.maxParticles || 1000,
+            seed: params.seed !== undefined ? params.seed : 1, // 粒子初始位置的随机种子
+            parcelMoisture: params.parcelMoisture !== undefined ? params.parcelMoisture : true, // 气块是否携带水汽
+            parcelDragTime: params.parcelDragTime || 60,       // 气块相对周围空气的垂直速度的衰减时间（s）
+            parcelMixingTime: params.parcelMixingTime || 1800, // 气块与周围空气混合（卷夹）的时间尺度（s）
+            ...params
+        };
+        this.random = new RandomGenerator(this.params.seed);
+        
+        // 粒子状态：位置（m）和速度（m/s）按 [x, y, z] 交错存放
+        this.positions = null;
+        this.velocities = null;
+        
+        // 气块状态：气温（°C）、位温（K）、比湿和云水（kg/kg）、
+        // 与周围空气的虚温差（K）以及浮力引起的相对周围空气的垂直速度（m/s）
+        this.temperatures = null;
+        this.potentialTemperatures = null;
+        this.humidities = null;
+        this.cloudWaters = null;
+        this.temperatureExcess = null;
+        this.excessVelocities = null;
+        
+        // 粒子来源：alive 标记粒子是否在使用，emitterIds 为放出粒子的释放源 id（0 为均匀分布的粒子），
+        // ages 和 lifetimes 为粒子已存在的时间和寿命（模拟秒）
+        this.alive = null;
+        this.emitterIds = null;
+        this.ages = null;
+        this.lifetimes = null;
+        this.freeCursor = 0;
+        
+        // 释放源：每项含 id、类型、位置、尺寸、释放速率、寿命、颜色和是否启用
+        this.emitters = [];
+        this.nextEmitterId = 1;
+        this.emitterMode = false;
+        this.isActive = false;
+        
+        this.init();
+    }
+    
+    init() {
+        const count = this.params.maxParticles;
+        this.positions = new Float32Array(count * 3);
+        this.velocities = new Float32Array(count * 3);
+        this.temperatures = new Float32Array(count);
+        this.potentialTemperatures = new Float32Array(count);
+        this.humidities = new Float32Array(count);
+        this.cloudWaters = new Float32Array(count);
+        this.temperatureExcess = new Float32Array(count);
+        this.excessVelocities = new Float32Array(count);
+        this.alive = new Uint8Array(count);
+        this.emitterIds = new Uint32Array(count);
+        this.ages = new Float32Array(count);
+        this.lifetimes = new Float32Array(count);
+        
+        this.seedParticles();
+    }
+    
+    seedParticles() {
+        // 每次重新生成粒子都从种子开始，同一种子得到相同的粒子分布；
+        // 有启用的释放源时所有粒子先置空，由释放源逐个放出
+        this.random.setSeed(this.params.seed);
+        this.freeCursor = 0;
+        this.emitters.forEach(emitter => { emitter.accumulator = 0; });
+        
+        for (let i = 0; i < this.params.maxParticles; i++) {
+            if (this.emitterMode) {
+                this.killParticle(i);
+            } else {
+                this.initializeParticle(i);
+            }
+        }
+    }
+    
+    initializeParticle(index) {
+        // 随机初始位置（地形以上），均匀分布的粒子没有寿命限制
+        const x = (this.random.next() - 0.5) * 4000;
+        const z = (this.random.next() - 0.5) * 1000;
+        const ground = this.thermalSystem.getTerrainHeightAt(x, z);
+        const y = ground + this.random.next() * (2000 - ground);
+        
+        this.placeParticle(index, x, y, z);
+        this.emitterIds[index] = 0;
+        this.lifetimes[index] = Infinity;
+    }
+    
+    placeParticle(index, x, y, z) {
+        const i3 = index * 3;
+        this.positions[i3] = x;
+        this.positions[i3 + 1] = y;
+        this.positions[i3 + 2] = z;
+        
+        // 初始速度
+        this.velocities[i3] = 0;
+        this.velocities[i3 + 1] = 0;
+        this.velocities[i3 + 2] = 0;
+        
+        // 气块从所在位置的空气中取出，与周围空气状态相同、没有浮力
+        const model = this.thermalSystem;
+        const temperature = model.getTemperatureAt(x, y, z);
+        this.temperatures[index] = temperature;
+        this.potentialTemperatures[index] = model.calculatePotentialTemperature(temperature, model.getPressureAt(x, y, z));
+        this.humidities[index] = this.params.parcelMoisture ? model.getHumidityAt(x, y, z) : 0;
+        this.cloudWaters[index] = 0;
+        this.temperatureExcess[index] = 0;
+        this.excessVelocities[index] = 0;
+        this.ages[index] = 0;
+        this.alive[index] = 1;
+    }
+    
+    killParticle(index) {
+        // 结束粒子，空出的位置留给释放源放出新粒子
+        const i3 = index * 3;
+        this.alive[index] = 0;
+        this.velocities[i3] = 0;
+        this.velocities[i3 + 1] = 0;
+        this.velocities[i3 + 2] = 0;
+        this.temperatureExcess[index] = 0;
+        this.excessVelocities[index] = 0;
+    }
+    
+    recycleParticle(index) {
+        // 离开模拟空间的粒子：释放源放出的粒子结束，均匀分布的粒子在随机位置重新出现
+        if (this.emitterIds[index]) {
+            this.killParticle(index);
+        } else {
+            this.initializeParticle(index);
+        }
+    }
+    
+    update(deltaTime) {
+        // 推进所有粒子，暂停时不更新并返回 false；deltaTime 为真实时间，
+        // 与热力模型一样按 timeScale 换算为模拟时间，粒子位移等于风速（m/s）乘以模拟秒数
+        if (!this.isActive) return false;
+        
+        const simulatedTime = deltaTime * this.thermalSystem.params.timeScale;
+        
+        for (let i = 0; i < this.params.maxParticles; i++) {
+            if (!this.alive[i]) continue;
+            
+            this.ages[i] += simulatedTime;
+            if (this.ages[i] > this.lifetimes[i]) {
+                this.killParticle(i);
+                continue;
+            }
+            this.updateParticle(i, simulatedTime);
+        }
+        this.emitParticles(simulatedTime);
+        return true;
+    }
+    
+    updateParticle(index, deltaTime) {
+        // 气块随所在位置的网格风（m/s）运动，垂直方向再叠加自身浮力引起的相对速度；
+        // 网格风的垂直分量已包含格点尺度的浮力，气块只补充它与周围空气的差别
+        const i3 = index * 3;
+        const p = this.positions;
+        const v = this.velocities;
+        
+        const windVector = this.thermalSystem.getWindVectorAt(p[i3], p[i3 + 1], p[i3 + 2]);
+        v[i3] = windVector.x;
+        v[i3 + 1] = windVector.y + this.excessVelocities[index];
+        v[i3 + 2] = windVector.z;
+        
+        p[i3] += v[i3] * deltaTime;
+        p[i3 + 1] += v[i3 + 1] * deltaTime;
+        p[i3 + 2] += v[i3 + 2] * deltaTime;
+        
+        // 边界检查和重置，重新初始化的气块已与周围空气一致
+        if (!this.checkBoundaries(index)) {
+            this.updateParcel(index, deltaTime);
+        }
+    }
+    
+    updateParcel(index, deltaTime) {
+        // 气块在新位置的气压下按位温守恒变温（干绝热，约 9.8 K/km），过饱和的水汽凝结并放出潜热
+        // （湿绝热），再与周围空气比较虚温得到浮力；同时以 parcelMixingTime 与周围空气混合
+        const model = this.thermalSystem;
+        const i3 = index * 3;
+        const x = this.positions[i3];
+        const y = this.positions[i3 + 1];
+        const z = this.positions[i3 + 2];
+        const moist = this.params.parcelMoisture;
+        
+        const pressure = model.getPressureAt(x, y, z);
+        const environmentTemperature = model.getTemperatureAt(x, y, z);
+        const environmentHumidity = moist ? model.getHumidityAt(x, y, z) : 0;
+        
+        // 卷夹：位温和水汽趋向周围空气，云水按同样的速率被周围的未饱和空气稀释；
+        // 最低一层网格内的气块与地面充分交换热量和水汽，直接取周围空气的状态，地面加热由此形成热泡
+        const surfaceLayer = model.getGridSpacing().dy;
+        const nearSurface = y - model.getTerrainHeightAt(x, z) < surfaceLayer;
+        const mixing = nearSurface ? 1 : Math.min(1, deltaTime / this.params.parcelMixingTime);
+        const environmentPotential = model.calculatePotentialTemperature(environmentTemperature, pressure);
+        this.potentialTemperatures[index] += (environmentPotential - this.potentialTemperatures[index]) * mixing;
+        this.humidities[index] += (environmentHumidity - this.humidities[index]) * mixing;
+        this.cloudWaters[index] *= 1 - mixing;
+        
+        let temperature = model.calculateTemperatureFromPotential(this.potentialTemperatures[index], pressure);
+        if (moist) {
+            const condensed = model.calculateCondensation(temperature, pressure, this.humidities[index], this.cloudWaters[index]);
+            if (condensed !== 0) {
+                this.humidities[index] -= condensed;
+                this.cloudWaters[index] = Math.max(0, this.cloudWaters[index] + condensed);
+                temperature += model.calculateLatentWarming(condensed);
+                this.potentialTemperatures[index] = model.calculatePotentialTemperature(temperature, pressure);
+            }
+        }
+        this.temperatures[index] = temperature;
+        
+        // 浮力比较虚温；不携带水汽时两边都按干空气计算，避免湿度造成虚假的温差
+        const parcelVirtual = model.calculateVirtualTemperature(temperature, this.humidities[index]);
+        const environmentVirtual = model.calculateVirtualTemperature(environmentTemperature, environmentHumidity);
+        this.temperatureExcess[index] = parcelVirtual - environmentVirtual;
+        
+        // 相对速度受浮力加速、受周围空气拖曳衰减（隐式处理，大时间步也稳定）
+        const buoyancy = model.calculateBuoyancy(parcelVirtual, environmentVirtual);
+        this.excessVelocities[index] = (this.excessVelocities[index] + buoyancy * deltaTime) /
+            (1 + deltaTime / this.params.parcelDragTime);
+    }
+    
+    checkBoundaries(index) {
+        // 按热力模型各面的边界条件处理越界粒子：固壁（含地面）反弹，周期边界从对面进入，
+        // 从开放边界流出的粒子重新初始化或结束；返回粒子是否已离开模拟空间
+        const boundaries = this.thermalSystem.params.boundaries;
+        const i3 = index * 3;
+        
+        if (!this.constrainToBoundary(i3, -2000, 2000, boundaries.xMin, boundaries.xMax) ||
+            !this.constrainToBoundary(i3 + 2, -500, 500, boundaries.zMin, boundaries.zMax)) {
+            this.recycleParticle(index);
+            return true;
+        }
+        
+        const ground = this.thermalSystem.getTerrainHeightAt(this.positions[i3], this.positions[i3 + 2]);
+        if (!this.constrainToBoundary(i3 + 1, ground, 2000, 'wall', boundaries.top)) {
+            this.recycleParticle(index);
+            return true;
+        }
+        return false;
+    }
+    
+    constrainToBoundary(component, min, max, minMode, maxMode) {
+        // 位置分量 component 越过 [min, max] 时按越过一侧的边界条件处理，粒子流出模拟空间时返回 false
+        const p = this.positions;
+        const v = this.velocities;
+        const value = p[component];
+        if (value >= min && value <= max) return true;
+        
+        const mode = value < min ? minMode : maxMode;
+        if (mode === 'periodic') {
+            const size = max - min;
+            p[component] = min + (((value - min) % size) + size) % size;
+            return true;
+        }
+        if (mode === 'wall') {
+            // 以边界为镜面反射位置，法向速度反向
+            const wall = value < min ? min : max;
+            p[component] = Math.max(min, Math.min(max, 2 * wall - value));
+            v[component] = -v[component];
+            return true;
+        }
+        return false;
+    }
+    
+    emitParticles(deltaTime) {
+        // 各释放源按每模拟秒 rate 个累积待放出的粒子，取整后放入空闲位置
+        this.emitters.forEach(emitter => {
+            if (!emitter.enabled) return;
+            
+            emitter.accumulator += emitter.rate * deltaTime;
+            while (emitter.accumulator >= 1) {
+                emitter.accumulator -= 1;
+                if (!this.emitParticle(this.findFreeParticle(), emitter)) {
+                    emitter.accumulator = 0;
+                    break;
+                }
+            }
+        });
+    }
+    
+    findFreeParticle() {
+        // 从上次放出的位置往后找未使用的粒子；粒子全部在使用时取存在最久的一个，
+        // 避免先放置的释放源占满粒子后其他释放源无法放出
+        const count = this.params.maxParticles;
+        let oldest = 0;
+        for (let n = 0; n < count; n++) {
+            const index = (this.freeCursor + n) % count;
+            if (!this.alive[index]) {
+                this.freeCursor = (index + 1) % count;
+                return index;
+            }
+            if (this.ages[index] > this.ages[oldest]) oldest = index;
+        }
+        return oldest;
+    }
+    
+    emitParticle(index, emitter) {
+        // 在释放源范围内随机取点放出一个粒子，释放源对应的冷热源已删除时返回 false
+        const point = this.getEmissionPoint(emitter);
+        if (!point) return false;
+        
+        this.placeParticle(index, point.x, point.y, point.z);
+        this.emitterIds[index] = emitter.id;
+        this.lifetimes[index] = emitter.lifetime;
+        return true;
+    }
+    
+    getEmissionPoint(emitter) {
+        // 释放位置：点源在 (x, z) 离地 height 处；线源沿 axis 方向长 size；面源以 axis 为法向、边长 size，
+        // 竖直的线和面从离地 height 处向上延伸；冷热源地面释放在冷热源范围内、离地 height 以内
+        const { axis, size } = emitter;
+        let x = emitter.x;
+        let z = emitter.z;
+        let height = emitter.height;
+        const u = (this.random.next() - 0.5) * size;
+        const v = (this.random.next() - 0.5) * size;
+        
+        if (emitter.type === 'line') {
+            if (axis === 'x') x += u;
+            else if (axis === 'z') z += u;
+            else height += u + size / 2;
+        } else if (emitter.type === 'plane') {
+            if (axis === 'y') {
+                x += u;
+                z += v;
+            } else {
+                if (axis === 'x') z += u;
+                else x += u;
+                height += v + size / 2;
+            }
+        } else if (emitter.type === 'surface') {
+            const source = this.thermalSystem.getSource(emitter.sourceId);
+            if (!source) return null;
+            
+            // 方形冷热源在正方形内均匀取点；圆形的半径取随机数的平方根，使点按面积均匀分布
+            if (source.shape === 'square') {
+                x = source.x + (this.random.next() * 2 - 1) * source.radius;
+                z = source.z + (this.random.next() * 2 - 1) * source.radius;
+            } else {
+                const r = source.radius * Math.sqrt(this.random.next());
+                const angle = this.random.next() * 2 * Math.PI;
+                x = source.x + r * Math.cos(angle);
+                z = source.z + r * Math.sin(angle);
+            }
+            height = this.random.next() * emitter.height;
+        }
+        
+        x = Math.max(-2000, Math.min(2000, x));
+        z = Math.max(-500, Math.min(500, z));
+        const y = Math.min(2000, this.thermalSystem.getTerrainHeightAt(x, z) + Math.max(0, height));
+        return { x, y, z };
+    }
+    
+    addEmitter(options = {}) {
+        // 添加粒子释放源，返回其 id；type 为 'point'（点）、'line'（线）、'plane'（面）或
+        // 'surface'（sourceId 指定的冷热源地面上方），rate 为每模拟秒放出的粒子数，lifetime 为粒子寿命（模拟秒），
+        // color 为粒子颜色（十六进制）
+        const emitter = {
+            id: this.nextEmitterId++,
+            type: EMITTER_TYPES.includes(options.type) ? options.type : 'point',
+            x: options.x || 0,
+            z: options.z || 0,
+            height: options.height !== undefined ? options.height : 50,
+            axis: ['x', 'y', 'z'].includes(options.axis) ? options.axis : 'x',
+            size: options.size || 1000,
+            sourceId: options.sourceId !== undefined ? options.sourceId : null,
+            rate: options.rate !== undefined ? options.rate : 0.2,
+            lifetime: options.lifetime || 3600,
+            color: options.color !== undefined ? options.color : 0xffffff,
+            enabled: options.enabled !== undefined ? options.enabled : true,
+            accumulator: 0
+        };
+        this.clampEmitter(emitter);
+        
+        this.emitters.push(emitter);
+        this.updateEmissionMode();
+        return emitter.id;
+    }
+    
+    removeEmitter(id) {
+        const index = this.emitters.findIndex(emitter => emitter.id === id);
+        if (index < 0) return false;
+        
+        this.emitters.splice(index, 1);
+        this.updateEmissionMode();
+        return true;
+    }
+    
+    updateEmitter(id, changes = {}) {
+        // 修改释放源的位置、尺寸、速率、寿命、颜色或开关
+        const emitter = this.getEmitter(id);
+        if (!emitter) return false;
+        
+        ['x', 'z', 'height', 'axis', 'size', 'sourceId', 'rate', 'lifetime', 'color', 'enabled'].forEach(key => {
+            if (changes[key] !== undefined) emitter[key] = changes[key];
+        });
+        this.clampEmitter(emitter);
+        this.updateEmissionMode();
+        return true;
+    }
+    
+    removeOrphanedEmitters() {
+        // 删除对应冷热源已不存在的冷热源地面释放源，返回被删除的释放源
+        const orphaned = this.emitters.filter(emitter =>
+            emitter.type === 'surface' && !this.thermalSystem.getSource(emitter.sourceId));
+        orphaned.forEach(emitter => this.removeEmitter(emitter.id));
+        return orphaned;
+    }
+    
+    getEmitter(id) {
+        return this.emitters.find(emitter => emitter.id === id) || null;
+    }
+    
+    getEmitters() {
+        return this.emitters.slice();
+    }
+    
+    clearEmitters() {
+        this.emitters = [];
+        this.updateEmissionMode();
+    }
+    
+    clampEmitter(emitter) {
+        emitter.x = Math.max(-2000, Math.min(2000, emitter.x));
+        emitter.z = Math.max(-500, Math.min(500, emitter.z));
+        emitter.height = Math.max(0, Math.min(2000, emitter.height));
+        emitter.size = Math.max(50, Math.min(4000, emitter.size));
+        emitter.rate = Math.max(0, emitter.rate);
+        emitter.lifetime = Math.max(60, emitter.lifetime);
+    }
+    
+    updateEmissionMode() {
+        // 有启用的释放源时粒子只从释放源放出，全部关闭或删除后恢复为在整个空间均匀分布；
+        // 两种方式切换时重新生成所有粒子
+        const emitterMode = this.emitters.some(emitter => emitter.enabled);
+        if (emitterMode === this.emitterMode) return;
+        
+        this.emitterMode = emitterMode;
+        this.seedParticles();
+    }
+    
+    start() {
+        this.isActive = true;
+    }
+    
+    pause() {
+        this.isActive = false;
+    }
+    
+    reset() {
+        // 释放源保留，已放出的粒子清除
+        this.pause();
+        this.seedParticles();
+    }
+    
+    setSeed(seed) {
+        this.params.seed = seed;
+        this.reset();
+    }
+    
+    setParcelMoisture(enabled) {
+        // 切换气块是否携带水汽：携带时从周围空气取得水汽，不携带时按干空气处理
+        this.params.parcelMoisture = enabled;
+        const p = this.positions;
+        for (let i = 0; i < this.params.maxParticles; i++) {
+            const i3 = i * 3;
+            this.humidities[i] = enabled ? this.thermalSystem.getHumidityAt(p[i3], p[i3 + 1], p[i3 + 2]) : 0;
+            this.cloudWaters[i] = 0;
+        }
+    }
+    
+    setParticleCount(count) {
+        this.params.maxParticles = Math.max(100, Math.min(2000, count));
+        this.init();
+    }
+    
+    getStats() {
+        const count = this.params.maxParticles;
+        const v = this.velocities;
+        let totalSpeed = 0;
+        let totalExcess = 0;
+        let aliveCount = 0;
+        for (let i = 0; i < count; i++) {
+            if (!this.alive[i]) continue;
+            const i3 = i * 3;
+            totalSpeed += Math.sqrt(v[i3] * v[i3] + v[i3 + 1] * v[i3 + 1] + v[i3 + 2] * v[i3 + 2]);
+            totalExcess += this.temperatureExcess[i];
+            aliveCount++;
+        }
+        
+        return {
+            particleCount: count,
+            aliveParticles: aliveCount,
+            activeParticles: this.isActive ? aliveCount : 0,
+            averageVelocity: aliveCount > 0 ? totalSpeed / aliveCount : 0,
+            averageTemperatureExcess: aliveCount > 0 ? totalExcess / aliveCount : 0
+        };
+    }
+}
+
+// 浏览器中作为全局类使用，在 Node 中通过 require 载入
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParticleModel;
+} else {
+    window.ParticleModel = ParticleModel;
+}
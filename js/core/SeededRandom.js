@@ -0,0 +1,31 @@
+/**
+ * 可设定种子的伪随机数发生器（mulberry32）
+ * 相同种子总是产生相同的序列，用于复现粒子分布等随机过程；不依赖 THREE 和 DOM
+ */
+
+class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+    
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    next() {
+        // 返回 [0, 1) 区间的均匀分布随机数
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// 浏览器中作为全局类使用，在 Node 中通过 require 载入
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+} else {
+    window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,1925 @@
+/**
+ * 热力模型 - 核心物理模拟
+ * 负责温度场计算、气压场生成和热力驱动；不依赖 THREE 和 DOM，可在 Node 中单独运行
+ */
+
+const DRY_ADIABATIC_LAPSE_RATE = 0.0098; // 干绝热递减率（K/m）
+const GRAVITY = 9.80665;                 // 重力加速度（m/s²）
+const DRY_AIR_GAS_CONSTANT = 287.05;     // 干空气气体常数（J/(kg·K)）
+const EARTH_ROTATION_RATE = 7.2921e-5;   // 地球自转角速度（rad/s）
+const LATENT_HEAT_VAPORIZATION = 2.501e6; // 水汽凝结潜热（J/kg）
+const SPECIFIC_HEAT_DRY_AIR = 1005;       // 干空气定压比热（J/(kg·K)）
+const WATER_VAPOR_GAS_CONSTANT = 461.5;   // 水汽气体常数（J/(kg·K)）
+const STEFAN_BOLTZMANN = 5.67e-8;         // 斯特藩-玻尔兹曼常数（W/(m²·K⁴)）
+const VON_KARMAN = 0.4;                   // 卡门常数
+const REFERENCE_PRESSURE = 100000;        // 位温的参考气压（Pa）
+
+// 地表类型：有效热容（J/(m²·K)）、反照率、粗糙度（m）、湿润度和地面显示颜色
+const SURFACE_TYPES = {
+    land:   { name: '陆地', heatCapacity: 2e5,   albedo: 0.25, roughness: 0.05,   wetness: 0.3, color: 0xc2a36b },
+    water:  { name: '水体', heatCapacity: 4e7,   albedo: 0.06, roughness: 0.0002, wetness: 1.0, color: 0x3a7bd5 },
+    forest: { name: '森林', heatCapacity: 4e5,   albedo: 0.12, roughness: 1.0,    wetness: 0.8, color: 0x2e7d32 },
+    urban:  { name: '城市', heatCapacity: 1.2e6, albedo: 0.15, roughness: 1.0,    wetness: 0.1, color: 0x8e8e8e }
+};
+
+// 在线程间传递的场：查询、粒子和渲染只用到这些场，其余为求解的中间状态
+const STATE_FIELDS = ['temperatureField', 'pressureField', 'windU', 'windV', 'windW', 'humidityField', 'cloudWaterField', 'tracerField'];
+
+// 模拟空间侧面和顶面的边界条件：'wall'（固壁）、'periodic'（周期，与对面相连）、'open'（开放，气流和扰动可以流出）；
+// 底面为地面，始终为固壁。X方向默认为固壁，Z方向代表无限延伸的沿岸方向，默认取周期
+const BOUNDARY_MODES = ['wall', 'periodic', 'open'];
+const DEFAULT_BOUNDARIES = { xMin: 'wall', xMax: 'wall', zMin: 'periodic', zMax: 'periodic', top: 'wall' };
+const OPPOSITE_FACES = { xMin: 'xMax', xMax: 'xMin', zMin: 'zMax', zMax: 'zMin' };
+
+// 大尺度背景风：近地面风速 speed（m/s）、来向 direction（°，气象惯例，0为北风、90为东风、270为西风）
+// 和风速随高度的变化率 shear（m/s/km）；默认静风
+const DEFAULT_BACKGROUND_WIND = { speed: 0, direction: 270, shear: 0 };
+
+class ThermalModel {
+    constructor(params = {}) {
+        this.params = {
+            nx: params.nx || params.gridSize || 50,    // X方向（东西，4000 m）格点数
+            ny: params.ny || params.heightLevels || 20, // 垂直方向（2000 m）层数
+            nz: params.nz || params.gridSize || 50,    // Z方向（南北，1000 m）格点数
+            heatSourcePos: params.heatSourcePos || { x: -800, z: 0 },
+            coldSourcePos: params.coldSourcePos || { x: 800, z: 0 },
+            baseTemperature: params.baseTemperature || 20,
+            sourceRadius: params.sourceRadius || 800,           // 冷热源默认影响半径（m）
+            sources: params.sources || null,                    // 初始冷热源列表，缺省为 heatSourcePos/coldSourcePos 处各一个
+            heatSourceAnomaly: params.heatSourceAnomaly || 15,  // 热源地表相对基础温度的增温（K）
+            coldSourceAnomaly: params.coldSourceAnomaly || -15, // 冷源地表相对基础温度的降温（K）
+            surfaceExchangeTime: params.surfaceExchangeTime || 600, // 地表与近地层空气的热交换时间尺度（s）
+            horizontalDiffusivity: params.horizontalDiffusivity || 20, // 水平湍流扩散系数（m²/s）
+            verticalDiffusivity: params.verticalDiffusivity || 10,     // 垂直湍流扩散系数（m²/s）
+            timeStep: params.timeStep || 4,          // 物理积分固定步长（模拟秒）
+            timeScale: params.timeScale || 30,       // 每真实秒对应的模拟秒数
+            maxStepsPerUpdate: params.maxStepsPerUpdate || 60,
+            isobarExaggeration: params.isobarExaggeration || 50,   // 等压面起伏的显示放大倍数
+            boundaryLayerDepth: params.boundaryLayerDepth || 500,     // 边界层厚度（m），地面拖曳造成的动量损失分布在这一层内
+            projectionIterations: params.projectionIterations || 10,  // 连续性投影的迭代次数
+            latitude: params.latitude || 30,                 // 纬度（°），决定地转偏向力参数
+            coriolisEnabled: params.coriolisEnabled || false, // 是否计入地转偏向力
+            relativeHumidity: params.relativeHumidity || 0.7, // 初始背景相对湿度
+            surfaceWetness: params.surfaceWetness || 0.9,     // 冷热源下垫面湿润度（近地层趋向的相对湿度）
+            autoconversionThreshold: params.autoconversionThreshold || 0.001, // 云水转化为降水的阈值（kg/kg）
+            autoconversionRate: params.autoconversionRate || 0.001,           // 超出阈值部分的降水转化率（1/s）
+            cloudThreshold: params.cloudThreshold || 0.0005,  // 云体显示为不透明时的云水比含量（kg/kg）
+            tracerDisplayConcentration: params.tracerDisplayConcentration || 500, // 污染物烟雾显示为不透明时的浓度（μg/m³）
+            diurnalCycle: params.diurnalCycle || false,   // 是否由昼夜循环和地表类型驱动地表加热（代替冷热源）
+            startHour: params.startHour || 9,             // 模拟开始时刻（地方时，h）
+            solarIrradiance: params.solarIrradiance || 1000, // 太阳直射时地表的晴空辐照度（W/m²）
+            surfaceEmissivity: params.surfaceEmissivity || 0.95,
+            atmosphereEmissivity: params.atmosphereEmissivity || 0.7, // 大气向下长波辐射的有效发射率
+            terrain: params.terrain || 'flat',            // 初始地形：'flat'（平坦）、'mountain'（山脊）或 'valley'（山谷）
+            terrainPeakHeight: params.terrainPeakHeight || 600, // 生成地形的最大高度（m）
+            coastlineX: params.coastlineX || 0,           // 初始地表类型图中海岸线的X坐标（m），以西为陆地、以东为水体
+            minExchangeWind: params.minExchangeWind || 2, // 计算感热交换阻抗时的最小风速（m/s），代表静风时的热对流
+            relaxationTime: params.relaxationTime || 10800, // 温度向参考廓线松弛（辐射冷却/加热）的时间尺度（s）
+            lapseRateLayers: params.lapseRateLayers || [{ top: 2000, lapseRate: 0.0065 }], // 背景廓线分层：各层顶高（m）和层内递减率（K/m）
+            inversions: params.inversions || [],          // 逆温层：底高 base（m）、厚度 depth（m）、在背景廓线上叠加的增温 strength（K）
+            boundaries: params.boundaries || DEFAULT_BOUNDARIES, // 各面的边界条件 {xMin, xMax, zMin, zMax, top}，缺省的面取默认值
+            spongeWidth: params.spongeWidth || 4,     // 开放边界内侧吸收层的厚度（格点数）
+            spongeTime: params.spongeTime || 600,     // 吸收层最外侧向环境大气松弛的时间尺度（s）
+            backgroundWind: params.backgroundWind || DEFAULT_BACKGROUND_WIND, // 背景风 {speed, direction, shear}，缺省的项取默认值
+            ...params
+        };
+        
+        // 温度场和气压场数据；三维场均按 [h][x][z] 顺序展开为一维类型化数组（见 createGridArray）
+        this.temperatureField = null;
+        this.pressureField = null;
+        this.densityField = null;
+        this.temperatureBuffer = null; // 温度求解的双缓冲
+        
+        // 风场（m/s）：u沿X轴，v沿Z轴，w为垂直（Y轴）分量；求解的是热力驱动的部分，
+        // 实际风速为它与背景风之和（见 getWindVectorAt）
+        this.windU = null;
+        this.windV = null;
+        this.windW = null;
+        this.windBuffer = null;
+        this.projectionPotential = null; // 投影求得的非静力气压势，作为下一步迭代初值
+        
+        // 水汽场：比湿和云水比含量（kg/kg）
+        this.humidityField = null;
+        this.cloudWaterField = null;
+        this.moistureBuffer = null;
+        
+        // 被动示踪物（污染物）浓度场（μg/m³），只随风输送和扩散，不影响大气；
+        // tracerSources 为持续排放的烟囱，每项含 id、位置、排放高度和排放速率
+        this.tracerField = null;
+        this.tracerBuffer = null;
+        this.tracerSources = [];
+        this.nextTracerSourceId = 1;
+        this.hasTracer = false; // 浓度场全为零且没有排放源时跳过示踪物的求解
+        
+        // 固定步长积分状态
+        this.timeAccumulator = 0;
+        this.simulationTime = 0;
+        
+        // 昼夜循环：地方时（h）
+        this.timeOfDay = this.params.startHour;
+        
+        // 地形：地面高度（m）、第一个位于地形以上的层索引、地表法向量，索引为 [x][z]；
+        // airMask 按 [h][x][z] 标记格点是否在地形以上（1）或被地形遮蔽（0）
+        this.terrainHeight = [];
+        this.groundLevel = [];
+        this.terrainNormal = [];
+        this.airMask = null;
+        this.hasTerrain = false;
+        
+        // 边界条件决定的X、Z方向相邻格点下标（见 buildBoundaryNeighbors）
+        this.westNeighbor = null;
+        this.eastNeighbor = null;
+        this.southNeighbor = null;
+        this.northNeighbor = null;
+        this.spongeWeight = null; // 开放边界吸收层的权重，按 [h][x][z] 展开，无开放边界时为 null
+        
+        // 各层背景风的 X、Z 分量（m/s），由 params.backgroundWind 和边界条件决定（见 buildBackgroundWind）
+        this.backgroundU = [];
+        this.backgroundV = [];
+        
+        // 参考温度廓线（由分层递减率和逆温层决定），用于初始化、辐射松弛和地形以下格点的外推
+        this.referenceTemperature = [];
+        
+        // 地表类型图及每个地面格点的地表温度（°C）和感热交换阻抗（s/m），索引为 [x][z]
+        this.surfaceTypeMap = [];
+        this.surfaceTemperatureMap = [];
+        this.surfaceResistance = [];
+        
+        // 冷热源列表，每项含 id、type（'heat'/'cold'）、位置、半径、强度和形状
+        this.sources = [];
+        this.nextSourceId = 1;
+        this.heatIntensity = 80;
+        this.coldIntensity = 60;
+        
+        this.init();
+    }
+    
+    init() {
+        this.params.boundaries = this.normalizeBoundaries(this.params.boundaries);
+        this.params.backgroundWind = { ...DEFAULT_BACKGROUND_WIND, ...this.params.backgroundWind };
+        this.buildBoundaryNeighbors();
+        this.buildBackgroundWind();
+        this.buildTerrain(this.getTerrainShape(this.params.terrain, this.params.terrainPeakHeight));
+        this.initializeSurface();
+        this.initializeFields();
+        this.createHeatSources();
+    }
+    
+    initializeFields() {
+        const { nx, ny, nz } = this.params;
+        const layerSize = nx * nz;
+        const { dy } = this.getGridSpacing();
+        
+        for (let h = 0; h < ny; h++) {
+            this.referenceTemperature[h] = this.getReferenceTemperature(h * dy);
+        }
+        
+        // 基础温度随高度递减（标准大气）
+        this.temperatureField = this.createGridArray(0);
+        this.temperatureBuffer = this.createGridArray(0);
+        for (let h = 0; h < ny; h++) {
+            this.temperatureField.fill(this.referenceTemperature[h], h * layerSize, (h + 1) * layerSize);
+        }
+        
+        // 地面气压约 1e5 Pa，单精度只能分辨约 0.01 Pa，不足以表示热力环流的水平气压差，因此用双精度
+        this.pressureField = this.createGridArray(0, Float64Array);
+        this.densityField = this.createGridArray(0);
+        
+        // 初始静风
+        this.windU = this.createGridArray(0);
+        this.windV = this.createGridArray(0);
+        this.windW = this.createGridArray(0);
+        this.windBuffer = this.createGridArray(0);
+        this.projectionPotential = this.createGridArray(0);
+        
+        // 由初始温度廓线积分出静力平衡的气压场，再按背景相对湿度设定比湿
+        this.humidityField = this.createGridArray(0);
+        this.cloudWaterField = this.createGridArray(0);
+        this.moistureBuffer = this.createGridArray(0);
+        this.tracerField = this.createGridArray(0);
+        this.tracerBuffer = this.createGridArray(0);
+        this.hasTracer = this.tracerSources.length > 0;
+        this.updatePressureField();
+        
+        for (let i = 0; i < this.humidityField.length; i++) {
+            this.humidityField[i] = this.params.relativeHumidity *
+                this.calculateSaturationHumidity(this.temperatureField[i], this.pressureField[i]);
+        }
+        
+        // 计入水汽后重新积分
+        this.updatePressureField();
+    }
+    
+    getReferenceTemperature(height) {
+        // 背景温度廓线：地面为基础温度，逐层按递减率降温，最高一层以上沿用其递减率；
+        // 逆温层内温度在此基础上随高度线性增加
+        const { baseTemperature, lapseRateLayers, inversions } = this.params;
+        let temperature = baseTemperature;
+        let bottom = 0;
+        
+        lapseRateLayers.forEach((layer, index) => {
+            const top = index === lapseRateLayers.length - 1 ? Infinity : layer.top;
+            if (height > bottom) {
+                temperature -= layer.lapseRate * (Math.min(height, top) - bottom);
+            }
+            bottom = top;
+        });
+        
+        inversions.forEach(inversion => {
+            const fraction = (height - inversion.base) / inversion.depth;
+            temperature += inversion.strength * Math.max(0, Math.min(1, fraction));
+        });
+        
+        return temperature;
+    }
+    
+    getTerrainShape(type, peakHeight) {
+        // 生成地形的高度函数 (worldX, worldZ) => 高度（m）：
+        // 山脊沿Z方向延伸、位于X中央；山谷位于X中央、两侧为山坡
+        switch(type) {
+            case 'mountain':
+                return (x) => peakHeight * Math.exp(-Math.pow(x / 700, 2));
+            case 'valley':
+                return (x) => peakHeight * (1 - Math.exp(-Math.pow(x / 900, 2)));
+            default:
+                return () => 0;
+        }
+    }
+    
+    buildTerrain(heights) {
+        // heights 为高度函数 (worldX, worldZ) => m 或按 [x][z] 排列的高度数组；
+        // 地形最高不超过模拟空间高度的60%，保证山顶以上仍有足够的空气层
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
+        const maxHeight = 0.6 * ny * dy;
+        
+        this.hasTerrain = false;
+        for (let x = 0; x < nx; x++) {
+            this.terrainHeight[x] = [];
+            this.groundLevel[x] = [];
+            for (let z = 0; z < nz; z++) {
+                const worldX = this.gridToWorldX(x);
+                const worldZ = this.gridToWorldZ(z);
+                const value = typeof heights === 'function' ? heights(worldX, worldZ) :
+                    (heights[x] && heights[x][z]) || 0;
+                const height = Math.max(0, Math.min(maxHeight, value || 0));
+                
+                this.terrainHeight[x][z] = height;
+                this.groundLevel[x][z] = Math.round(height / dy);
+                if (this.groundLevel[x][z] > 0) this.hasTerrain = true;
+            }
+        }
+        
+        this.airMask = this.createGridArray(1, Uint8Array);
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                for (let h = 0; h < this.groundLevel[x][z]; h++) {
+                    this.airMask[this.cellIndex(h, x, z)] = 0;
+                }
+            }
+        }
+        
+        this.computeTerrainNormals();
+    }
+    
+    computeTerrainNormals() {
+        // 地表单位法向量，用于计算坡面接收的太阳辐射；边界处与流场一样按边界条件取相邻格点
+        const { nx, nz } = this.params;
+        const { dx, dz } = this.getGridSpacing();
+        for (let x = 0; x < nx; x++) {
+            const xm = this.westNeighbor[x], xp = this.eastNeighbor[x];
+            const stepsX = (xm === x ? 0 : 1) + (xp === x ? 0 : 1);
+            this.terrainNormal[x] = [];
+            for (let z = 0; z < nz; z++) {
+                const zm = this.southNeighbor[z], zp = this.northNeighbor[z];
+                const stepsZ = (zm === z ? 0 : 1) + (zp === z ? 0 : 1);
+                const slopeX = (this.terrainHeight[xp][z] - this.terrainHeight[xm][z]) / (stepsX * dx);
+                const slopeZ = (this.terrainHeight[x][zp] - this.terrainHeight[x][zm]) / (stepsZ * dz);
+                const length = Math.sqrt(slopeX * slopeX + 1 + slopeZ * slopeZ);
+                this.terrainNormal[x][z] = { x: -slopeX / length, y: 1 / length, z: -slopeZ / length };
+            }
+        }
+    }
+    
+    setTerrain(heights) {
+        // 更换地形后大气状态从参考廓线重新开始
+        this.buildTerrain(heights);
+        this.reset();
+    }
+    
+    generateTerrain(type, peakHeight = this.params.terrainPeakHeight) {
+        this.params.terrain = type;
+        this.params.terrainPeakHeight = peakHeight;
+        this.setTerrain(this.getTerrainShape(type, peakHeight));
+    }
+    
+    setTerrainFromImage(pixels, width, height, maxHeight = this.params.terrainPeakHeight) {
+        // 由灰度高度图（RGBA像素数组）设置地形：白色为 maxHeight，黑色为海平面；
+        // 图像覆盖整个地面，顶行对应 z = -500 一侧
+        this.params.terrain = 'image';
+        this.setTerrain((worldX, worldZ) => {
+            const i = Math.max(0, Math.min(width - 1, Math.floor((worldX + 2000) / 4000 * width)));
+            const j = Math.max(0, Math.min(height - 1, Math.floor((worldZ + 500) / 1000 * height)));
+            const index = (j * width + i) * 4;
+            const luminance = 0.299 * pixels[index] + 0.587 * pixels[index + 1] + 0.114 * pixels[index + 2];
+            return luminance / 255 * maxHeight;
+        });
+    }
+    
+    getTerrainHeightAt(x, z) {
+        // 地面高度（m），在网格间双线性插值
+        const { nx, nz } = this.params;
+        const grid = this.worldToGrid(x, 0, z);
+        const cellX = this.getInterpolationCell(grid.x, nx, this.isPeriodic('x'));
+        const cellZ = this.getInterpolationCell(grid.z, nz, this.isPeriodic('z'));
+        const tx = cellX.t, tz = cellZ.t;
+        const H = this.terrainHeight;
+        
+        return (H[cellX.i0][cellZ.i0] * (1 - tx) + H[cellX.i1][cellZ.i0] * tx) * (1 - tz) +
+               (H[cellX.i0][cellZ.i1] * (1 - tx) + H[cellX.i1][cellZ.i1] * tx) * tz;
+    }
+    
+    getInterpolationCell(coord, n, periodic) {
+        // 连续网格坐标 coord 所在的插值区间：两端格点下标 i0、i1 和权重 t；
+        // 周期方向超出网格时绕到对侧（最后一个格点与第一个相连），否则取边界值
+        if (periodic) {
+            const f = ((coord % n) + n) % n;
+            const i0 = Math.floor(f) % n;
+            return { i0: i0, i1: (i0 + 1) % n, t: f - Math.floor(f) };
+        }
+        const f = Math.max(0, Math.min(n - 1, coord));
+        const i0 = Math.min(Math.floor(f), n - 2);
+        return { i0: i0, i1: i0 + 1, t: f - i0 };
+    }
+    
+    normalizeBoundaries(boundaries = {}) {
+        // 补全各面的边界条件并检查取值：周期边界必须成对，只设一侧时该侧改为固壁；顶面没有对面，不能取周期
+        const result = { ...DEFAULT_BOUNDARIES, ...boundaries };
+        Object.keys(DEFAULT_BOUNDARIES).forEach(face => {
+            if (!BOUNDARY_MODES.includes(result[face])) result[face] = DEFAULT_BOUNDARIES[face];
+        });
+        if (result.top === 'periodic') result.top = 'wall';
+        Object.keys(OPPOSITE_FACES).forEach(face => {
+            if (result[face] === 'periodic' && result[OPPOSITE_FACES[face]] !== 'periodic') result[face] = 'wall';
+        });
+        return result;
+    }
+    
+    isPeriodic(axis) {
+        // axis 为 'x' 或 'z'
+        return this.params.boundaries[axis === 'x' ? 'xMin' : 'zMin'] === 'periodic';
+    }
+    
+    buildBoundaryNeighbors() {
+        // 各列（X）和各行（Z）的相邻格点下标：周期边界绕到对侧，固壁和开放边界取自身，
+        // 即平流和扩散在边界上取零梯度；求解器各处都按这些下标取相邻格点
+        const { nx, nz } = this.params;
+        const neighbors = (n, periodic, offset) => Int32Array.from({ length: n }, (_, i) =>
+            periodic ? (i + offset + n) % n : Math.max(0, Math.min(n - 1, i + offset)));
+        
+        this.westNeighbor = neighbors(nx, this.isPeriodic('x'), -1);
+        this.eastNeighbor = neighbors(nx, this.isPeriodic('x'), 1);
+        this.southNeighbor = neighbors(nz, this.isPeriodic('z'), -1);
+        this.northNeighbor = neighbors(nz, this.isPeriodic('z'), 1);
+        this.buildSpongeWeights();
+    }
+    
+    buildSpongeWeights() {
+        // 开放边界只允许扰动流出，边界外的环境大气只有背景风、温度为参考廓线；
+        // 边界内侧 spongeWidth 个格点为吸收层，权重由边界上的 1 线性减小到 0，
+        // 吸收外传的扰动，并阻止整层气流在开放的两侧之间无限加速
+        const { nx, ny, nz, spongeWidth, boundaries } = this.params;
+        const faces = [
+            ['xMin', (h, x) => x], ['xMax', (h, x) => nx - 1 - x],
+            ['zMin', (h, x, z) => z], ['zMax', (h, x, z) => nz - 1 - z],
+            ['top', (h) => ny - 1 - h]
+        ].filter(([face]) => boundaries[face] === 'open');
+        
+        if (faces.length === 0) {
+            this.spongeWeight = null;
+            return;
+        }
+        
+        this.spongeWeight = this.createGridArray(0);
+        for (let h = 0; h < ny; h++) {
+            for (let x = 0; x < nx; x++) {
+                for (let z = 0; z < nz; z++) {
+                    let weight = 0;
+                    faces.forEach(([, distance]) => {
+                        weight = Math.max(weight, 1 - distance(h, x, z) / spongeWidth);
+                    });
+                    this.spongeWeight[this.cellIndex(h, x, z)] = weight;
+                }
+            }
+        }
+    }
+    
+    buildBackgroundWind() {
+        // 背景风随高度线性变化，来向换算为X（东）、Z（南）分量；背景风不能穿过固壁，
+        // 有固壁的方向上整层气流无处可去，该方向的分量取零
+        const { ny, backgroundWind, boundaries } = this.params;
+        const { dy } = this.getGridSpacing();
+        const direction = backgroundWind.direction * Math.PI / 180;
+        const blockedX = boundaries.xMin === 'wall' || boundaries.xMax === 'wall';
+        const blockedZ = boundaries.zMin === 'wall' || boundaries.zMax === 'wall';
+        
+        for (let h = 0; h < ny; h++) {
+            const speed = backgroundWind.speed + backgroundWind.shear * h * dy / 1000;
+            this.backgroundU[h] = blockedX ? 0 : -speed * Math.sin(direction);
+            this.backgroundV[h] = blockedZ ? 0 : speed * Math.cos(direction);
+        }
+    }
+    
+    applyBoundarySponge(field, dt, profile = null) {
+        // 开放边界吸收层内把场向环境值松弛（给定 profile 时为各层的参考值，否则为零）；隐式处理，不会过冲
+        const weights = this.spongeWeight;
+        if (!weights) return;
+        
+        const layerSize = this.params.nx * this.params.nz;
+        const rate = dt / this.params.spongeTime;
+        for (let i = 0; i < field.length; i++) {
+            if (weights[i] === 0) continue;
+            const k = weights[i] * rate;
+            const target = profile ? profile[Math.floor(i / layerSize)] : 0;
+            field[i] += (target - field[i]) * k / (1 + k);
+        }
+    }
+    
+    fillTerrainGhosts(field, profile = null) {
+        // 地形以下的格点不参与求解，取同一气柱地面格点的值（给定参考廓线时保持相同的距平），
+        // 使平流和扩散在地形表面近似为零通量
+        if (!this.hasTerrain) return;
+        
+        const { nx, nz } = this.params;
+        const layerSize = nx * nz;
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const column = x * nz + z;
+                const ground = this.groundLevel[x][z];
+                const value = field[ground * layerSize + column];
+                for (let h = 0; h < ground; h++) {
+                    field[h * layerSize + column] = profile ? value - profile[ground] + profile[h] : value;
+                }
+            }
+        }
+    }
+    
+    clearTerrainWind() {
+        // 地形内部静风（热力驱动的风与背景风相抵），地面格点的垂直速度为零（与平坦地面一致）；
+        // 投影因此把迎面而来的背景风引导为爬坡和绕流
+        if (!this.hasTerrain) return;
+        
+        const { nx, nz } = this.params;
+        const layerSize = nx * nz;
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const column = x * nz + z;
+                const ground = this.groundLevel[x][z];
+                for (let h = 0; h < ground; h++) {
+                    const i = h * layerSize + column;
+                    this.windU[i] = -this.backgroundU[h];
+                    this.windV[i] = -this.backgroundV[h];
+                    this.windW[i] = 0;
+                }
+                this.windW[ground * layerSize + column] = 0;
+            }
+        }
+    }
+    
+    initializeSurface() {
+        // 初始地表类型图：海岸线以西为陆地、以东为水体
+        const { nx, nz, coastlineX } = this.params;
+        for (let x = 0; x < nx; x++) {
+            const worldX = this.gridToWorldX(x);
+            this.surfaceTypeMap[x] = [];
+            this.surfaceTemperatureMap[x] = [];
+            this.surfaceResistance[x] = [];
+            for (let z = 0; z < nz; z++) {
+                this.surfaceTypeMap[x][z] = worldX < coastlineX ? 'land' : 'water';
+                this.surfaceTemperatureMap[x][z] = this.getReferenceTemperature(this.terrainHeight[x][z]);
+                this.surfaceResistance[x][z] = Infinity;
+            }
+        }
+    }
+    
+    createGridArray(value, ArrayType = Float32Array) {
+        // 三维场按 [h][x][z] 顺序展开为一维类型化数组，z 变化最快，下标由 cellIndex 计算
+        const { nx, ny, nz } = this.params;
+        return new ArrayType(nx * ny * nz).fill(value);
+    }
+    
+    cellIndex(h, x, z) {
+        return (h * this.params.nx + x) * this.params.nz + z;
+    }
+    
+    calculateBasePressure(height) {
+        // 标准大气压公式
+        return 101325 * Math.pow(1 - 0.0065 * height / 288.15, 5.255);
+    }
+    
+    calculateDensity(pressure, temperature, specificHumidity = 0) {
+        // 理想气体状态方程（湿空气用虚温）
+        return pressure / (DRY_AIR_GAS_CONSTANT * this.calculateVirtualTemperature(temperature, specificHumidity));
+    }
+    
+    calculateVirtualTemperature(temperature, specificHumidity = 0) {
+        // 虚温（K）：与湿空气密度相同的干空气温度
+        return (temperature + 273.15) * (1 + 0.608 * specificHumidity);
+    }
+    
+    calculateSaturationHumidity(temperature, pressure) {
+        // 饱和比湿（kg/kg），饱和水汽压采用 Tetens 公式
+        const vaporPressure = 611.2 * Math.exp(17.67 * temperature / (temperature + 243.5));
+        return 0.622 * vaporPressure / (pressure - 0.378 * vaporPressure);
+    }
+    
+    calculatePotentialTemperature(temperature, pressure) {
+        // 位温（K）：绝热移到 1000 hPa 时的温度 θ = T·(p0/p)^(Rd/cp)，干绝热升降时保持不变
+        return (temperature + 273.15) * Math.pow(REFERENCE_PRESSURE / pressure, DRY_AIR_GAS_CONSTANT / SPECIFIC_HEAT_DRY_AIR);
+    }
+    
+    calculateTemperatureFromPotential(potentialTemperature, pressure) {
+        // 由位温和气压求气温（°C）
+        return potentialTemperature * Math.pow(pressure / REFERENCE_PRESSURE, DRY_AIR_GAS_CONSTANT / SPECIFIC_HEAT_DRY_AIR) - 273.15;
+    }
+    
+    calculateCondensation(temperature, pressure, humidity, cloudWater) {
+        // 等压饱和调整的凝结量（kg/kg）：Δq = (q - qs) / (1 + L²qs / (cp·Rv·T²))；
+        // 正值为凝结，负值为云水蒸发（不超过现有云水）
+        const saturation = this.calculateSaturationHumidity(temperature, pressure);
+        const absolute = temperature + 273.15;
+        const factor = 1 + LATENT_HEAT_VAPORIZATION * LATENT_HEAT_VAPORIZATION * saturation /
+            (SPECIFIC_HEAT_DRY_AIR * WATER_VAPOR_GAS_CONSTANT * absolute * absolute);
+        const condensed = (humidity - saturation) / factor;
+        return condensed < 0 ? Math.max(condensed, -cloudWater) : condensed;
+    }
+    
+    calculateLatentWarming(condensed) {
+        // 凝结 condensed（kg/kg）释放的潜热使空气升温 L·Δq/cp（K），蒸发时为负
+        return LATENT_HEAT_VAPORIZATION * condensed / SPECIFIC_HEAT_DRY_AIR;
+    }
+    
+    calculateBuoyancy(virtualTemperature, environmentVirtualTemperature) {
+        // 虚温为 Tv 的气块在虚温为 Tv' 的空气中受到的浮力加速度 g·(Tv - Tv')/Tv'（m/s²）
+        return GRAVITY * (virtualTemperature - environmentVirtualTemperature) / environmentVirtualTemperature;
+    }
+    
+    createHeatSources() {
+        // 创建初始冷热源：默认左侧一个热源、右侧一个冷源
+        const sources = this.params.sources || [
+            { type: 'heat', ...this.params.heatSourcePos },
+            { type: 'cold', ...this.params.coldSourcePos }
+        ];
+        sources.forEach(source => this.addSource(source));
+    }
+    
+    addSource(options = {}) {
+        // 添加冷热源，返回其 id；shape 为 'circle'（圆形）或 'square'（方形）
+        const type = options.type === 'cold' ? 'cold' : 'heat';
+        const source = {
+            id: this.nextSourceId++,
+            type: type,
+            x: options.x || 0,
+            z: options.z || 0,
+            radius: options.radius || this.params.sourceRadius,
+            intensity: options.intensity !== undefined ? options.intensity :
+                (type === 'heat' ? this.heatIntensity : this.coldIntensity),
+            shape: options.shape === 'square' ? 'square' : 'circle'
+        };
+        this.clampSource(source);
+        
+        this.sources.push(source);
+        return source.id;
+    }
+    
+    removeSource(id) {
+        const index = this.sources.findIndex(source => source.id === id);
+        if (index < 0) return false;
+        
+        this.sources.splice(index, 1);
+        return true;
+    }
+    
+    updateSource(id, changes = {}) {
+        // 修改冷热源的位置、半径、强度、类型或形状，拖动时每帧调用
+        const source = this.getSource(id);
+        if (!source) return false;
+        
+        ['type', 'x', 'z', 'radius', 'intensity', 'shape'].forEach(key => {
+            if (changes[key] !== undefined) source[key] = changes[key];
+        });
+        source.type = source.type === 'cold' ? 'cold' : 'heat';
+        source.shape = source.shape === 'square' ? 'square' : 'circle';
+        this.clampSource(source);
+        return true;
+    }
+    
+    getSource(id) {
+        return this.sources.find(source => source.id === id) || null;
+    }
+    
+    getSources(type) {
+        return type ? this.sources.filter(source => source.type === type) : this.sources.slice();
+    }
+    
+    clampSource(source) {
+        // 冷热源中心限制在地面范围内
+        source.x = Math.max(-2000, Math.min(2000, source.x));
+        source.z = Math.max(-500, Math.min(500, source.z));
+        source.radius = Math.max(200, source.radius);
+        source.intensity = Math.max(0, Math.min(100, source.intensity));
+    }
+    
+    getSourceDistance(source, worldX, worldZ) {
+        // 地面某点到冷热源中心的距离，方形冷热源取两个方向中较大的一个；小于半径时在冷热源范围内
+        const dx = Math.abs(worldX - source.x);
+        const dz = Math.abs(worldZ - source.z);
+        return source.shape === 'square' ? Math.max(dx, dz) : Math.sqrt(dx * dx + dz * dz);
+    }
+    
+    getSourceInfluence(source, worldX, worldZ) {
+        // 冷热源对地面某点的影响权重：中心为强度，向边缘线性减小到零
+        const dist = this.getSourceDistance(source, worldX, worldZ);
+        if (dist >= source.radius) return 0;
+        return (1 - dist / source.radius) * source.intensity / 100;
+    }
+    
+    getIsobarHeight(x, z, pressure) {
+        // 在气柱内按对数气压线性插值，求等压面高度
+        const { ny } = this.params;
+        const { dy } = this.getGridSpacing();
+        const { x: gridX, z: gridZ } = this.worldToSurfaceCell(x, z);
+        const P = this.pressureField;
+        
+        for (let h = 1; h < ny; h++) {
+            const below = P[this.cellIndex(h - 1, gridX, gridZ)];
+            const above = P[this.cellIndex(h, gridX, gridZ)];
+            if (above <= pressure) {
+                const t = Math.log(below / pressure) / Math.log(below / above);
+                return (h - 1 + t) * dy;
+            }
+        }
+        
+        return (ny - 1) * dy;
+    }
+    
+    getColumnPressureAt(x, z, height) {
+        // 按求解网格的列索引读取气柱中指定高度的气压
+        const { ny } = this.params;
+        const { x: gridX, z: gridZ } = this.worldToSurfaceCell(x, z);
+        const gridH = Math.max(0, Math.min(ny - 1, Math.round(height / this.getGridSpacing().dy)));
+        return this.pressureField[this.cellIndex(gridH, gridX, gridZ)];
+    }
+    
+    updateFields(deltaTime) {
+        // 把真实时间换算为模拟时间，按固定步长积分，保证结果与帧率无关；返回本次积分的步数
+        const { timeStep, timeScale, maxStepsPerUpdate } = this.params;
+        this.timeAccumulator += deltaTime * timeScale;
+        
+        let steps = 0;
+        while (this.timeAccumulator >= timeStep && steps < maxStepsPerUpdate) {
+            this.step(timeStep);
+            this.timeAccumulator -= timeStep;
+            steps++;
+        }
+        
+        // 机器跟不上时丢弃积压时间，避免越追越慢
+        if (steps >= maxStepsPerUpdate) {
+            this.timeAccumulator = 0;
+        }
+        
+        return steps;
+    }
+    
+    step(dt) {
+        // 平流子步数由当前风场的CFL条件决定（只依赖状态，结果可复现）
+        const substeps = this.getAdvectionSubsteps(dt);
+        
+        // 昼夜循环驱动的地表能量平衡
+        if (this.params.diurnalCycle) {
+            this.updateSurfaceEnergyBalance(dt);
+            this.timeOfDay = (this.timeOfDay + dt / 3600) % 24;
+        }
+        
+        // 更新风场
+        this.updateWindField(dt, substeps);
+        
+        // 更新温度场
+        this.updateTemperatureField(dt, substeps);
+        
+        // 更新水汽场（含凝结潜热）
+        this.updateMoistureField(dt, substeps);
+        
+        // 输送污染物
+        this.updateTracerField(dt, substeps);
+        
+        // 更新气压场
+        this.updatePressureField();
+        
+        this.simulationTime += dt;
+    }
+    
+    getGridSpacing() {
+        const { nx, ny, nz } = this.params;
+        return { dx: 4000 / nx, dy: 2000 / ny, dz: 1000 / nz };
+    }
+    
+    gridToWorldX(x) {
+        return (x - this.params.nx / 2) * (4000 / this.params.nx);
+    }
+    
+    gridToWorldZ(z) {
+        return (z - this.params.nz / 2) * (1000 / this.params.nz);
+    }
+    
+    worldToGrid(x, y, z) {
+        // 世界坐标对应的连续网格坐标（格点 i 位于 i 处），未做边界限制
+        const { nx, nz } = this.params;
+        const { dx, dy, dz } = this.getGridSpacing();
+        return { x: x / dx + nx / 2, y: y / dy, z: z / dz + nz / 2 };
+    }
+    
+    sample(field, x, y, z) {
+        // 在世界坐标 (x, y, z) 处对按 [h][x][z] 展开的网格场做三线性插值；
+        // 周期方向与求解器一致绕到对侧，其余方向超出网格时取边界值
+        const { nx, ny, nz } = this.params;
+        const grid = this.worldToGrid(x, y, z);
+        const cellX = this.getInterpolationCell(grid.x, nx, this.isPeriodic('x'));
+        const cellY = this.getInterpolationCell(grid.y, ny, false);
+        const cellZ = this.getInterpolationCell(grid.z, nz, this.isPeriodic('z'));
+        
+        const z0 = cellZ.i0, z1 = cellZ.i1;
+        const tx = cellX.t, ty = cellY.t, tz = cellZ.t;
+        const lower = cellY.i0 * nx * nz, upper = cellY.i1 * nx * nz;
+        
+        // layer 为该层 (x=0, z=0) 格点的下标，west、east 为 x0、x1 两列 z=0 格点的下标
+        const bilinear = (layer) => {
+            const west = layer + cellX.i0 * nz, east = layer + cellX.i1 * nz;
+            return (field[west + z0] * (1 - tx) + field[east + z0] * tx) * (1 - tz) +
+                   (field[west + z1] * (1 - tx) + field[east + z1] * tx) * tz;
+        };
+        
+        return bilinear(lower) * (1 - ty) + bilinear(upper) * ty;
+    }
+    
+    getAdvectionSubsteps(dt) {
+        const { nx, ny, nz } = this.params;
+        const { dx, dy, dz } = this.getGridSpacing();
+        const layerSize = nx * nz;
+        const U = this.windU, V = this.windV, W = this.windW;
+        let maxCourant = 0;
+        
+        for (let h = 0; h < ny; h++) {
+            const backgroundU = this.backgroundU[h], backgroundV = this.backgroundV[h];
+            for (let i = h * layerSize; i < (h + 1) * layerSize; i++) {
+                maxCourant = Math.max(maxCourant,
+                    Math.abs(U[i] + backgroundU) * dt / dx +
+                    Math.abs(W[i]) * dt / dy +
+                    Math.abs(V[i] + backgroundV) * dt / dz);
+            }
+        }
+        
+        return Math.max(1, Math.ceil(maxCourant / 0.5));
+    }
+    
+    advectDiffuse(field, out, dt, levelOffset = null) {
+        // 一阶迎风平流 + 显式湍流扩散，结果写入 out；平流速度为热力驱动的风与背景风之和
+        // levelOffset 为各层叠加的常量（如位温换算 Γd·z），只影响垂直差分
+        const { nx, ny, nz, horizontalDiffusivity, verticalDiffusivity } = this.params;
+        const { dx, dy, dz } = this.getGridSpacing();
+        const kx = horizontalDiffusivity / (dx * dx);
+        const kz = horizontalDiffusivity / (dz * dz);
+        const ky = verticalDiffusivity / (dy * dy);
+        const layerSize = nx * nz;
+        const U = this.windU, V = this.windV, W = this.windW;
+        
+        for (let h = 0; h < ny; h++) {
+            // 垂直方向边界处取相邻格点（零梯度），水平方向按边界条件取相邻格点
+            const hm = Math.max(h - 1, 0), hp = Math.min(h + 1, ny - 1);
+            const offsetBelow = levelOffset ? levelOffset[hm] - levelOffset[h] : 0;
+            const offsetAbove = levelOffset ? levelOffset[hp] - levelOffset[h] : 0;
+            const backgroundU = this.backgroundU[h], backgroundV = this.backgroundV[h];
+            
+            for (let x = 0; x < nx; x++) {
+                const xm = this.westNeighbor[x], xp = this.eastNeighbor[x];
+                // 各行 z = 0 格点的下标
+                const row = h * layerSize + x * nz;
+                const rowW = h * layerSize + xm * nz, rowE = h * layerSize + xp * nz;
+                const rowBelow = hm * layerSize + x * nz, rowAbove = hp * layerSize + x * nz;
+                
+                for (let z = 0; z < nz; z++) {
+                    const zm = this.southNeighbor[z], zp = this.northNeighbor[z];
+                    const i = row + z;
+                    const u = U[i] + backgroundU, v = V[i] + backgroundV, w = W[i];
+                    const c = field[i];
+                    const west = field[rowW + z], east = field[rowE + z];
+                    const south = field[row + zm], north = field[row + zp];
+                    const down = field[rowBelow + z] + offsetBelow, up = field[rowAbove + z] + offsetAbove;
+                    
+                    const ddx = u > 0 ? (c - west) / dx : (east - c) / dx;
+                    const ddy = w > 0 ? (c - down) / dy : (up - c) / dy;
+                    const ddz = v > 0 ? (c - south) / dz : (north - c) / dz;
+                    const advection = -(u * ddx + w * ddy + v * ddz);
+                    
+                    const diffusion =
+                        kx * (east - 2 * c + west) +
+                        kz * (north - 2 * c + south) +
+                        ky * (up - 2 * c + down);
+                    
+                    out[i] = c + (advection + diffusion) * dt;
+                }
+            }
+        }
+    }
+    
+    advectDiffuseConservative(field, out, dt) {
+        // 通量形式的一阶迎风平流 + 显式湍流扩散，结果写入 out：每个面上的通量从一侧格点减去、加到另一侧，
+        // 风场的离散散度不为零时总量也守恒。面上的风速取两侧格点的平均；地面、地形表面和固壁上没有通量，
+        // 开放边界只有流出通量（边界外为洁净空气），周期边界的面与对侧相连
+        const { nx, ny, nz, horizontalDiffusivity, verticalDiffusivity, boundaries } = this.params;
+        const { dx, dy, dz } = this.getGridSpacing();
+        const kx = horizontalDiffusivity / dx, kz = horizontalDiffusivity / dz, ky = verticalDiffusivity / dy;
+        const layerSize = nx * nz;
+        const U = this.windU, V = this.windV, W = this.windW;
+        const air = this.airMask;
+        const lastX = this.isPeriodic('x') ? nx : nx - 1, lastZ = this.isPeriodic('z') ? nz : nz - 1;
+        
+        // 格点 i 与正方向相邻格点 j 之间的面：speed 为面上的风速，k 为扩散系数除以间距，d 为间距
+        const exchange = (i, j, speed, k, d) => {
+            const flux = (speed > 0 ? speed * field[i] : speed * field[j]) - k * (field[j] - field[i]);
+            const change = flux * dt / d;
+            out[i] -= change;
+            out[j] += change;
+        };
+        // 开放边界上的面：outward 为指向边界外的风速分量
+        const outflow = (i, outward, d) => {
+            if (outward > 0) out[i] -= outward * field[i] * dt / d;
+        };
+        
+        out.set(field);
+        for (let h = 0; h < ny; h++) {
+            const backgroundU = this.backgroundU[h], backgroundV = this.backgroundV[h];
+            
+            for (let x = 0; x < nx; x++) {
+                // 各行 z = 0 格点的下标
+                const row = h * layerSize + x * nz;
+                const rowE = h * layerSize + this.eastNeighbor[x] * nz;
+                
+                for (let z = 0; z < nz; z++) {
+                    const i = row + z;
+                    if (!air[i]) continue;
+                    const u = U[i] + backgroundU, v = V[i] + backgroundV;
+                    
+                    if (x < lastX) {
+                        const j = rowE + z;
+                        if (air[j]) exchange(i, j, (u + U[j] + backgroundU) / 2, kx, dx);
+                    } else if (boundaries.xMax === 'open') {
+                        outflow(i, u, dx);
+                    }
+                    if (x === 0 && lastX < nx && boundaries.xMin === 'open') outflow(i, -u, dx);
+                    
+                    if (z < lastZ) {
+                        const j = row + this.northNeighbor[z];
+                        if (air[j]) exchange(i, j, (v + V[j] + backgroundV) / 2, kz, dz);
+                    } else if (boundaries.zMax === 'open') {
+                        outflow(i, v, dz);
+                    }
+                    if (z === 0 && lastZ < nz && boundaries.zMin === 'open') outflow(i, -v, dz);
+                    
+                    if (h < ny - 1) {
+                        exchange(i, i + layerSize, (W[i] + W[i + layerSize]) / 2, ky, dy);
+                    } else if (boundaries.top === 'open') {
+                        outflow(i, W[i], dy);
+                    }
+                }
+            }
+        }
+    }
+    
+    updateTemperatureField(dt, substeps = 1) {
+        // 位温距平 θ' = T - Tref 的平流-扩散方程：
+        // ∂θ'/∂t = -V·∇θ' - w·dθ̄/dz + ∇·(K∇θ') + 地表加热 - θ'/τ
+        // 参考廓线的位温梯度 dθ̄/dz = Γd + dTref/dz 代表层结，上升气流绝热冷却、下沉增温；
+        // 对距平取零梯度边界，参考廓线本身是静止大气的定常解
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
+        const layerSize = nx * nz;
+        const levelOffset = this.referenceTemperature.map(value => -value);
+        const stratification = [];
+        for (let h = 0; h < ny; h++) {
+            const hm = Math.max(h - 1, 0), hp = Math.min(h + 1, ny - 1);
+            stratification[h] = DRY_ADIABATIC_LAPSE_RATE +
+                (this.referenceTemperature[hp] - this.referenceTemperature[hm]) / ((hp - hm) * dy);
+        }
+        
+        const subDt = dt / substeps;
+        for (let s = 0; s < substeps; s++) {
+            const out = this.temperatureBuffer;
+            this.advectDiffuse(this.temperatureField, out, subDt, levelOffset);
+            for (let h = 0; h < ny; h++) {
+                for (let i = h * layerSize; i < (h + 1) * layerSize; i++) {
+                    out[i] -= this.windW[i] * stratification[h] * subDt;
+                }
+            }
+            this.applySurfaceHeating(out, subDt);
+            this.applyRadiativeRelaxation(out, subDt);
+            this.applyBoundarySponge(out, subDt, this.referenceTemperature);
+            this.fillTerrainGhosts(out, this.referenceTemperature);
+            
+            // 交换缓冲
+            [this.temperatureField, this.temperatureBuffer] = [this.temperatureBuffer, this.temperatureField];
+        }
+    }
+    
+    applyRadiativeRelaxation(field, dt) {
+        // 牛顿松弛 ∂T/∂t = -(T - Tref)/τ：温度距平以辐射时间尺度 τ 衰减，
+        // 关闭冷热源后大气逐渐恢复静止，持续加热时与松弛平衡形成定常环流；隐式处理，不会过冲
+        const { nx, ny, nz, relaxationTime } = this.params;
+        const factor = dt / (relaxationTime + dt);
+        const layerSize = nx * nz;
+        
+        for (let h = 0; h < ny; h++) {
+            const reference = this.referenceTemperature[h];
+            for (let i = h * layerSize; i < (h + 1) * layerSize; i++) {
+                field[i] += (reference - field[i]) * factor;
+            }
+        }
+    }
+    
+    getSurfaceSources() {
+        // 冷热源及其地表温度相对当地参考温度的固定增减温
+        const { heatSourceAnomaly, coldSourceAnomaly } = this.params;
+        return this.sources.map(source => ({
+            source: source,
+            anomaly: source.type === 'heat' ? heatSourceAnomaly : coldSourceAnomaly
+        }));
+    }
+    
+    worldToSurfaceCell(worldX, worldZ) {
+        // 世界坐标对应的地面格点索引（限制在网格范围内）
+        const { nx, nz } = this.params;
+        const grid = this.worldToGrid(worldX, 0, worldZ);
+        return {
+            x: Math.max(0, Math.min(nx - 1, Math.round(grid.x))),
+            z: Math.max(0, Math.min(nz - 1, Math.round(grid.z)))
+        };
+    }
+    
+    getSurfaceType(gridX, gridZ) {
+        // 地面格点的地表类型属性
+        return SURFACE_TYPES[this.surfaceTypeMap[gridX][gridZ]];
+    }
+    
+    getSurfaceTypeAt(worldX, worldZ) {
+        const cell = this.worldToSurfaceCell(worldX, worldZ);
+        return this.surfaceTypeMap[cell.x][cell.z];
+    }
+    
+    setSurfaceType(gridX, gridZ, type) {
+        if (!SURFACE_TYPES[type] || !this.surfaceTypeMap[gridX] || gridZ < 0 || gridZ >= this.params.nz) {
+            return false;
+        }
+        this.surfaceTypeMap[gridX][gridZ] = type;
+        return true;
+    }
+    
+    paintSurface(worldX, worldZ, radius, type) {
+        // 将圆形区域内的地面格点设为指定地表类型，返回改变的格点数
+        const { nx, nz } = this.params;
+        if (!SURFACE_TYPES[type]) return 0;
+        
+        let changed = 0;
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const dx = this.gridToWorldX(x) - worldX;
+                const dz = this.gridToWorldZ(z) - worldZ;
+                if (dx * dx + dz * dz <= radius * radius && this.surfaceTypeMap[x][z] !== type) {
+                    this.surfaceTypeMap[x][z] = type;
+                    changed++;
+                }
+            }
+        }
+        return changed;
+    }
+    
+    fillSurface(type) {
+        if (!SURFACE_TYPES[type]) return false;
+        this.surfaceTypeMap.forEach(column => column.fill(type));
+        return true;
+    }
+    
+    paintSurfaceRect(xMin, xMax, zMin, zMax, type) {
+        // 将矩形区域内的地面格点设为指定地表类型，返回改变的格点数
+        const { nx, nz } = this.params;
+        if (!SURFACE_TYPES[type]) return 0;
+        
+        let changed = 0;
+        for (let x = 0; x < nx; x++) {
+            const worldX = this.gridToWorldX(x);
+            if (worldX < xMin || worldX > xMax) continue;
+            for (let z = 0; z < nz; z++) {
+                const worldZ = this.gridToWorldZ(z);
+                if (worldZ >= zMin && worldZ <= zMax && this.surfaceTypeMap[x][z] !== type) {
+                    this.surfaceTypeMap[x][z] = type;
+                    changed++;
+                }
+            }
+        }
+        return changed;
+    }
+    
+    getSunDirection() {
+        // 春秋分日指向太阳的单位向量（X指向东、Y向上、Z指向南），y 分量即 sin(太阳高度角) = cosφ·cos(时角)
+        const latitude = this.params.latitude * Math.PI / 180;
+        const hourAngle = (this.timeOfDay - 12) * Math.PI / 12;
+        return {
+            x: -Math.sin(hourAngle),
+            y: Math.cos(latitude) * Math.cos(hourAngle),
+            z: Math.sin(latitude) * Math.cos(hourAngle)
+        };
+    }
+    
+    getSolarElevation() {
+        // 太阳高度角（rad）
+        return Math.asin(this.getSunDirection().y);
+    }
+    
+    isDaytime() {
+        return this.getSolarElevation() > 0;
+    }
+    
+    updateSurfaceEnergyBalance(dt) {
+        // 逐格点地表能量平衡：C·dTs/dt = (1-α)·S·sin h - (εσTs⁴ - εaσTa⁴) - ρcp(Ts - Ta)/ra
+        // 热容、反照率取自地表类型；感热交换阻抗 ra = 1 / (CD·U)（见 getDragCoefficient），粗糙地表交换更强
+        // 陆面热容小、升降温快，水体热容大、温度几乎不变，夜间陆面因此比水面冷
+        // 坡面接收的太阳辐射按地表法向与太阳方向的夹角计算，朝阳坡先增温
+        const { nx, nz, solarIrradiance, surfaceEmissivity, atmosphereEmissivity, minExchangeWind } = this.params;
+        const sun = this.getSunDirection();
+        
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const i = this.cellIndex(this.groundLevel[x][z], x, z);
+                const surface = this.getSurfaceType(x, z);
+                const airTemp = this.temperatureField[i];
+                const surfaceTemp = this.surfaceTemperatureMap[x][z];
+                const ground = this.groundLevel[x][z];
+                const windSpeed = Math.max(minExchangeWind, Math.sqrt(
+                    (this.windU[i] + this.backgroundU[ground]) ** 2 + (this.windV[i] + this.backgroundV[ground]) ** 2));
+                const resistance = 1 / (this.getDragCoefficient(surface) * windSpeed);
+                
+                const normal = this.terrainNormal[x][z];
+                const incidence = sun.y > 0 ? Math.max(0, normal.x * sun.x + normal.y * sun.y + normal.z * sun.z) : 0;
+                const absorbed = (1 - surface.albedo) * solarIrradiance * incidence;
+                const longwave = STEFAN_BOLTZMANN * (
+                    surfaceEmissivity * Math.pow(surfaceTemp + 273.15, 4) -
+                    atmosphereEmissivity * Math.pow(airTemp + 273.15, 4));
+                const sensible = this.densityField[i] * SPECIFIC_HEAT_DRY_AIR * (surfaceTemp - airTemp) / resistance;
+                
+                this.surfaceTemperatureMap[x][z] += (absorbed - longwave - sensible) * dt / surface.heatCapacity;
+                this.surfaceResistance[x][z] = resistance;
+            }
+        }
+    }
+    
+    applySurfaceHeating(field, dt) {
+        // 下垫面以有限速率向地形以上第一层空气传热，使其温度趋向地表温度
+        // 昼夜循环开启时由各格点的地表温度和交换阻抗决定，否则由冷热源决定
+        const { nx, nz, surfaceExchangeTime, diurnalCycle } = this.params;
+        
+        if (diurnalCycle) {
+            const { dy } = this.getGridSpacing();
+            for (let x = 0; x < nx; x++) {
+                for (let z = 0; z < nz; z++) {
+                    const i = this.cellIndex(this.groundLevel[x][z], x, z);
+                    const rate = dt / (this.surfaceResistance[x][z] * dy);
+                    field[i] += (this.surfaceTemperatureMap[x][z] - field[i]) * Math.min(rate, 1);
+                }
+            }
+            return;
+        }
+        
+        const sources = this.getSurfaceSources();
+        
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const worldX = this.gridToWorldX(x);
+                const worldZ = this.gridToWorldZ(z);
+                
+                const i = this.cellIndex(this.groundLevel[x][z], x, z);
+                const referenceTemp = this.getReferenceTemperature(this.terrainHeight[x][z]);
+                
+                sources.forEach(({ source, anomaly }) => {
+                    const influence = this.getSourceInfluence(source, worldX, worldZ);
+                    if (influence <= 0) return;
+                    
+                    const rate = influence * dt / surfaceExchangeTime;
+                    field[i] += (referenceTemp + anomaly - field[i]) * Math.min(rate, 1);
+                });
+            }
+        }
+    }
+    
+    updateMoistureField(dt, substeps = 1) {
+        // 比湿和云水随风输送，再做饱和调整：过饱和部分凝结成云并释放潜热
+        const subDt = dt / substeps;
+        for (let s = 0; s < substeps; s++) {
+            this.advectDiffuse(this.humidityField, this.moistureBuffer, subDt);
+            [this.humidityField, this.moistureBuffer] = [this.moistureBuffer, this.humidityField];
+            this.advectDiffuse(this.cloudWaterField, this.moistureBuffer, subDt);
+            [this.cloudWaterField, this.moistureBuffer] = [this.moistureBuffer, this.cloudWaterField];
+        }
+        
+        this.applySurfaceEvaporation(dt);
+        this.fillTerrainGhosts(this.humidityField);
+        this.fillTerrainGhosts(this.cloudWaterField);
+        this.applySaturationAdjustment();
+        this.applyPrecipitation(dt);
+    }
+    
+    applyPrecipitation(dt) {
+        // Kessler 自动转化：云水超出阈值的部分按一定速率形成降水落出模拟空间
+        const { autoconversionThreshold, autoconversionRate } = this.params;
+        const fraction = Math.min(autoconversionRate * dt, 1);
+        const qc = this.cloudWaterField;
+        
+        for (let i = 0; i < qc.length; i++) {
+            if (qc[i] > autoconversionThreshold) {
+                qc[i] -= (qc[i] - autoconversionThreshold) * fraction;
+            }
+        }
+    }
+    
+    applySurfaceEvaporation(dt) {
+        // 湿润下垫面向近地层蒸发，比湿趋向按地表温度计算的 湿润度×饱和比湿
+        // 昼夜循环开启时湿润度取自地表类型，否则只有冷热源下垫面蒸发
+        const { nx, nz, surfaceExchangeTime, surfaceWetness, diurnalCycle } = this.params;
+        const q = this.humidityField;
+        
+        if (diurnalCycle) {
+            const { dy } = this.getGridSpacing();
+            for (let x = 0; x < nx; x++) {
+                for (let z = 0; z < nz; z++) {
+                    const i = this.cellIndex(this.groundLevel[x][z], x, z);
+                    const target = this.getSurfaceType(x, z).wetness *
+                        this.calculateSaturationHumidity(this.surfaceTemperatureMap[x][z], this.pressureField[i]);
+                    const rate = dt / (this.surfaceResistance[x][z] * dy);
+                    q[i] += Math.max(0, target - q[i]) * Math.min(rate, 1);
+                }
+            }
+            return;
+        }
+        
+        const sources = this.getSurfaceSources();
+        
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const worldX = this.gridToWorldX(x);
+                const worldZ = this.gridToWorldZ(z);
+                
+                const i = this.cellIndex(this.groundLevel[x][z], x, z);
+                const surfaceTemp = this.getReferenceTemperature(this.terrainHeight[x][z]);
+                
+                sources.forEach(({ source, anomaly }) => {
+                    const influence = this.getSourceInfluence(source, worldX, worldZ);
+                    if (influence <= 0) return;
+                    
+                    const target = surfaceWetness *
+                        this.calculateSaturationHumidity(surfaceTemp + anomaly, this.pressureField[i]);
+                    const rate = influence * dt / surfaceExchangeTime;
+                    q[i] += (target - q[i]) * Math.min(rate, 1);
+                });
+            }
+        }
+    }
+    
+    applySaturationAdjustment() {
+        // 逐格点等压饱和调整：过饱和的水汽凝结成云并释放潜热，未饱和时云水蒸发吸热
+        const T = this.temperatureField;
+        const P = this.pressureField;
+        const q = this.humidityField;
+        const qc = this.cloudWaterField;
+        
+        for (let i = 0; i < T.length; i++) {
+            const condensed = this.calculateCondensation(T[i], P[i], q[i], qc[i]);
+            if (condensed === 0) continue;
+            
+            q[i] -= condensed;
+            qc[i] = Math.max(0, qc[i] + condensed);
+            T[i] += this.calculateLatentWarming(condensed);
+        }
+    }
+    
+    updateTracerField(dt, substeps = 1) {
+        // 污染物浓度随风平流、湍流扩散，烟囱在排放高度持续注入；开放边界外为洁净空气。
+        // 按通量形式输送，闭合模拟空间中总质量只随排放增加
+        if (!this.hasTracer) return;
+        
+        const subDt = dt / substeps;
+        for (let s = 0; s < substeps; s++) {
+            this.advectDiffuseConservative(this.tracerField, this.tracerBuffer, subDt);
+            [this.tracerField, this.tracerBuffer] = [this.tracerBuffer, this.tracerField];
+            this.tracerSources.forEach(source => {
+                const y = this.getTerrainHeightAt(source.x, source.z) + source.height;
+                this.depositTracer(source.x, y, source.z, source.rate * 1e6 * subDt);
+            });
+            this.applyBoundarySponge(this.tracerField, subDt);
+        }
+        this.fillTerrainGhosts(this.tracerField);
+    }
+    
+    depositTracer(x, y, z, amount) {
+        // 把质量 amount（μg）按三线性权重分配到所在网格单元的8个格点，换算为浓度
+        const { nx, ny, nz } = this.params;
+        const { dx, dy, dz } = this.getGridSpacing();
+        const grid = this.worldToGrid(x, y, z);
+        const cellX = this.getInterpolationCell(grid.x, nx, this.isPeriodic('x'));
+        const cellY = this.getInterpolationCell(grid.y, ny, false);
+        const cellZ = this.getInterpolationCell(grid.z, nz, this.isPeriodic('z'));
+        const concentration = amount / (dx * dy * dz);
+        
+        [[cellY.i0, 1 - cellY.t], [cellY.i1, cellY.t]].forEach(([h, wy]) => {
+            [[cellX.i0, 1 - cellX.t], [cellX.i1, cellX.t]].forEach(([gx, wx]) => {
+                [[cellZ.i0, 1 - cellZ.t], [cellZ.i1, cellZ.t]].forEach(([gz, wz]) => {
+                    this.tracerField[this.cellIndex(h, gx, gz)] += concentration * wx * wy * wz;
+                });
+            });
+        });
+        this.hasTracer = true;
+    }
+    
+    releaseTracerPuff(x, z, height = 50, mass = 10) {
+        // 在离地 height（m）处一次释放质量为 mass（kg）的烟团
+        this.depositTracer(x, this.getTerrainHeightAt(x, z) + Math.max(0, height), z, Math.max(0, mass) * 1e9);
+    }
+    
+    addTracerSource(options = {}) {
+        // 添加持续排放的烟囱，返回其 id；height 为排放高度（离地，m），rate 为排放速率（g/s）
+        const source = {
+            id: this.nextTracerSourceId++,
+            x: Math.max(-2000, Math.min(2000, options.x || 0)),
+            z: Math.max(-500, Math.min(500, options.z || 0)),
+            height: Math.max(0, Math.min(1000, options.height !== undefined ? options.height : 50)),
+            rate: Math.max(0, options.rate !== undefined ? options.rate : 100)
+        };
+        this.tracerSources.push(source);
+        this.hasTracer = true;
+        return source.id;
+    }
+    
+    removeTracerSource(id) {
+        const index = this.tracerSources.findIndex(source => source.id === id);
+        if (index < 0) return false;
+        
+        this.tracerSources.splice(index, 1);
+        return true;
+    }
+    
+    getTracerSources() {
+        return this.tracerSources.slice();
+    }
+    
+    clearTracer() {
+        // 清除所有污染物和烟囱
+        this.tracerSources = [];
+        this.tracerField.fill(0);
+        this.hasTracer = false;
+    }
+    
+    updateWindField(dt, substeps = 1) {
+        // 动量方程：平流扩散 → 气压梯度力、浮力、摩擦 → 投影满足质量连续
+        // 背景风处于大尺度平衡，不受这些力的作用，只作为平流速度和垂直切变进入热力驱动部分的方程
+        const subDt = dt / substeps;
+        for (let s = 0; s < substeps; s++) {
+            this.advectDiffuse(this.windU, this.windBuffer, subDt);
+            [this.windU, this.windBuffer] = [this.windBuffer, this.windU];
+            this.advectDiffuse(this.windV, this.windBuffer, subDt);
+            [this.windV, this.windBuffer] = [this.windBuffer, this.windV];
+            this.advectDiffuse(this.windW, this.windBuffer, subDt);
+            [this.windW, this.windBuffer] = [this.windBuffer, this.windW];
+            this.applyBackgroundShear(subDt);
+        }
+        this.clearTerrainWind();
+        
+        this.applyWindForces(dt);
+        this.applyBoundarySponge(this.windU, dt);
+        this.applyBoundarySponge(this.windV, dt);
+        this.applyBoundarySponge(this.windW, dt);
+        this.projectWindField(dt);
+        this.clearTerrainWind();
+    }
+    
+    applyBackgroundShear(dt) {
+        // 垂直运动在切变的背景风中交换水平动量：∂u/∂t = -w·dU/dz，∂v/∂t = -w·dV/dz
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
+        const layerSize = nx * nz;
+        const U = this.windU, V = this.windV, W = this.windW;
+        
+        for (let h = 0; h < ny; h++) {
+            const hm = Math.max(h - 1, 0), hp = Math.min(h + 1, ny - 1);
+            const shearU = (this.backgroundU[hp] - this.backgroundU[hm]) / ((hp - hm) * dy);
+            const shearV = (this.backgroundV[hp] - this.backgroundV[hm]) / ((hp - hm) * dy);
+            if (shearU === 0 && shearV === 0) continue;
+            
+            for (let i = h * layerSize; i < (h + 1) * layerSize; i++) {
+                U[i] -= W[i] * shearU * dt;
+                V[i] -= W[i] * shearV * dt;
+            }
+        }
+    }
+    
+    applyWindForces(dt) {
+        const { nx, ny, nz, boundaryLayerDepth } = this.params;
+        const { dx, dy, dz } = this.getGridSpacing();
+        const layerSize = nx * nz;
+        const P = this.pressureField;
+        const rho = this.densityField;
+        const T = this.temperatureField;
+        const q = this.humidityField;
+        const U = this.windU, V = this.windV, W = this.windW;
+        const mask = this.airMask;
+        
+        // 各层地形以上格点的水平平均虚温和气压，作为浮力和扰动气压的参考
+        const meanVirtualTemperature = [];
+        const meanPressure = [];
+        for (let h = 0; h < ny; h++) {
+            let temperatureSum = 0, pressureSum = 0, count = 0;
+            for (let i = h * layerSize; i < (h + 1) * layerSize; i++) {
+                if (!mask[i]) continue;
+                temperatureSum += this.calculateVirtualTemperature(T[i], q[i]);
+                pressureSum += P[i];
+                count++;
+            }
+            meanVirtualTemperature[h] = count > 0 ? temperatureSum / count : this.referenceTemperature[h];
+            meanPressure[h] = count > 0 ? pressureSum / count : P[h * layerSize];
+        }
+        
+        // 地转偏向力在一个步长内使水平风旋转 f·dt（北半球向右偏）
+        // 场景中X轴指向东，Z轴指向南：du/dt = -f·v，dv/dt = f·u
+        const rotation = this.getCoriolisParameter() * dt;
+        const cosRotation = Math.cos(rotation), sinRotation = Math.sin(rotation);
+        
+        // 地面拖曳：地表应力 CD·|V|·V 由湍流向上传递，随离地高度线性减小到边界层顶为零，
+        // 各层的减速度为 CD·|V|·V·2(1 - z/H)/H，整个边界层上的积分恰为地表应力；
+        // 拖曳作用于实际风（含背景风），背景风本身不变，近地面热力驱动的部分因此抵消一部分背景风
+        const dragCoefficients = new Float32Array(nx * nz);
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                dragCoefficients[x * nz + z] = this.getDragCoefficient(this.getSurfaceType(x, z));
+            }
+        }
+        
+        for (let h = 0; h < ny; h++) {
+            const hm = Math.max(h - 1, 0), hp = Math.min(h + 1, ny - 1);
+            const layer = h * layerSize;
+            const backgroundU = this.backgroundU[h], backgroundV = this.backgroundV[h];
+            
+            for (let x = 0; x < nx; x++) {
+                const xm = this.westNeighbor[x], xp = this.eastNeighbor[x];
+                const row = layer + x * nz;
+                
+                for (let z = 0; z < nz; z++) {
+                    const i = row + z;
+                    if (!mask[i]) continue;
+                    
+                    // 相邻格点被地形遮蔽或位于边界外时改用单侧差分
+                    const zm = this.southNeighbor[z], zp = this.northNeighbor[z];
+                    const west = mask[layer + xm * nz + z] ? xm : x, east = mask[layer + xp * nz + z] ? xp : x;
+                    const south = mask[row + zm] ? zm : z, north = mask[row + zp] ? zp : z;
+                    const westSteps = west === x ? 0 : 1, eastSteps = east === x ? 0 : 1;
+                    const southSteps = south === z ? 0 : 1, northSteps = north === z ? 0 : 1;
+                    const below = mask[i + (hm - h) * layerSize] ? hm : h;
+                    const density = rho[i];
+                    
+                    // 水平气压梯度力 -(1/ρ)∇p
+                    const pgfX = westSteps + eastSteps === 0 ? 0 :
+                        -(P[layer + east * nz + z] - P[layer + west * nz + z]) / ((westSteps + eastSteps) * dx * density);
+                    const pgfZ = southSteps + northSteps === 0 ? 0 :
+                        -(P[row + north] - P[row + south]) / ((southSteps + northSteps) * dz * density);
+                    
+                    // 垂直方向：浮力与扰动气压梯度力之差（静力平衡时二者抵消）
+                    const virtualTemperature = this.calculateVirtualTemperature(T[i], q[i]);
+                    const buoyancy = GRAVITY * (virtualTemperature - meanVirtualTemperature[h]) / meanVirtualTemperature[h];
+                    const perturbationAbove = P[i + (hp - h) * layerSize] - meanPressure[hp];
+                    const perturbationBelow = P[i + (below - h) * layerSize] - meanPressure[below];
+                    const pgfY = hp === below ? 0 :
+                        -(perturbationAbove - perturbationBelow) / ((hp - below) * dy * density);
+                    
+                    const u = U[i] + pgfX * dt;
+                    const v = V[i] + pgfZ * dt;
+                    U[i] = u * cosRotation - v * sinRotation;
+                    V[i] = u * sinRotation + v * cosRotation;
+                    W[i] += (buoyancy + pgfY) * dt;
+                    
+                    // 边界层内的拖曳，隐式处理保证稳定
+                    const heightAboveGround = Math.max(0, h * dy - this.terrainHeight[x][z]);
+                    if (heightAboveGround < boundaryLayerDepth) {
+                        const totalU = U[i] + backgroundU, totalV = V[i] + backgroundV;
+                        const shape = 2 * (1 - heightAboveGround / boundaryLayerDepth) / boundaryLayerDepth;
+                        const drag = dragCoefficients[x * nz + z] * Math.sqrt(totalU * totalU + totalV * totalV) * shape;
+                        U[i] = totalU / (1 + drag * dt) - backgroundU;
+                        V[i] = totalV / (1 + drag * dt) - backgroundV;
+                    }
+                }
+            }
+        }
+    }
+    
+    getDragCoefficient(surface) {
+        // 中性层结下近地层的拖曳系数 CD = [κ / ln(zr/z0)]²，参考高度 zr 取最低一层的半层厚；
+        // 粗糙度 z0 越大拖曳越强，城市和森林上空的近地面风明显弱于水面
+        const referenceHeight = this.getGridSpacing().dy / 2;
+        return Math.pow(VON_KARMAN / Math.log(referenceHeight / surface.roughness), 2);
+    }
+    
+    getCoriolisParameter() {
+        // 地转参数 f = 2Ω·sinφ（1/s）
+        if (!this.params.coriolisEnabled) return 0;
+        return 2 * EARTH_ROTATION_RATE * Math.sin(this.params.latitude * Math.PI / 180);
+    }
+    
+    projectWindField(dt) {
+        // 压力投影：求解 ∇²φ = ∇·V，再令 V -= ∇φ，使风场满足质量连续（无辐散）
+        // 采用超松弛高斯-赛德尔迭代，并以上一步的 φ 为初值
+        const { nx, ny, nz, projectionIterations, boundaries } = this.params;
+        const { dx, dy, dz } = this.getGridSpacing();
+        const layerSize = nx * nz;
+        const U = this.windU, V = this.windV, W = this.windW;
+        const phi = this.projectionPotential;
+        const divergence = this.windBuffer;
+        const mask = this.airMask;
+        
+        // 地面和固壁的法向风速为零；周期边界与对面相连；
+        // 开放边界外的 φ 取零（狄利克雷条件），气流可以穿过边界流入流出
+        for (let h = 0; h < ny; h++) {
+            if (boundaries.xMin === 'wall') U.fill(0, h * layerSize, h * layerSize + nz);
+            if (boundaries.xMax === 'wall') U.fill(0, h * layerSize + (nx - 1) * nz, (h + 1) * layerSize);
+            for (let row = h * layerSize; row < (h + 1) * layerSize; row += nz) {
+                if (boundaries.zMin === 'wall') V[row] = 0;
+                if (boundaries.zMax === 'wall') V[row + nz - 1] = 0;
+            }
+        }
+        W.fill(0, 0, layerSize);
+        if (boundaries.top === 'wall') W.fill(0, (ny - 1) * layerSize, ny * layerSize);
+        this.clearTerrainWind();
+        
+        for (let h = 0; h < ny; h++) {
+            const hm = Math.max(h - 1, 0), hp = Math.min(h + 1, ny - 1);
+            for (let x = 0; x < nx; x++) {
+                const xm = this.westNeighbor[x], xp = this.eastNeighbor[x];
+                const row = h * layerSize + x * nz;
+                const rowW = h * layerSize + xm * nz, rowE = h * layerSize + xp * nz;
+                const rowBelow = hm * layerSize + x * nz, rowAbove = hp * layerSize + x * nz;
+                for (let z = 0; z < nz; z++) {
+                    const zm = this.southNeighbor[z], zp = this.northNeighbor[z];
+                    divergence[row + z] =
+                        (U[rowE + z] - U[rowW + z]) / (2 * dx) +
+                        (W[rowAbove + z] - W[rowBelow + z]) / (2 * dy) +
+                        (V[row + zp] - V[row + zm]) / (2 * dz);
+                }
+            }
+        }
+        
+        const cx = 1 / (dx * dx), cy = 1 / (dy * dy), cz = 1 / (dz * dz);
+        const overRelaxation = 1.7;
+        const openTop = boundaries.top === 'open';
+        const openWest = boundaries.xMin === 'open', openEast = boundaries.xMax === 'open';
+        const openSouth = boundaries.zMin === 'open', openNorth = boundaries.zMax === 'open';
+        for (let iter = 0; iter < projectionIterations; iter++) {
+            for (let h = 0; h < ny; h++) {
+                // 固壁外和地形内的 φ 取边界值（诺伊曼条件），对应系数从对角项中去掉；
+                // 开放边界外的 φ 为零，只保留对角项
+                const hasBelow = h > 0, hasAbove = h < ny - 1;
+                
+                for (let x = 0; x < nx; x++) {
+                    const xm = this.westNeighbor[x], xp = this.eastNeighbor[x];
+                    const hasWest = xm !== x, hasEast = xp !== x;
+                    const row = h * layerSize + x * nz;
+                    const rowW = h * layerSize + xm * nz, rowE = h * layerSize + xp * nz;
+                    const rowBelow = row - layerSize, rowAbove = row + layerSize;
+                    
+                    for (let z = 0; z < nz; z++) {
+                        const i = row + z;
+                        if (!mask[i]) continue;
+                        
+                        const zm = this.southNeighbor[z], zp = this.northNeighbor[z];
+                        let sum = 0, diagonal = 0;
+                        if (hasWest) {
+                            if (mask[rowW + z]) { sum += phi[rowW + z] * cx; diagonal += cx; }
+                        } else if (openWest) diagonal += cx;
+                        if (hasEast) {
+                            if (mask[rowE + z]) { sum += phi[rowE + z] * cx; diagonal += cx; }
+                        } else if (openEast) diagonal += cx;
+                        if (hasBelow && mask[rowBelow + z]) { sum += phi[rowBelow + z] * cy; diagonal += cy; }
+                        if (hasAbove) { sum += phi[rowAbove + z] * cy; diagonal += cy; } else if (openTop) diagonal += cy;
+                        if (zm !== z) {
+                            if (mask[row + zm]) { sum += phi[row + zm] * cz; diagonal += cz; }
+                        } else if (openSouth) diagonal += cz;
+                        if (zp !== z) {
+                            if (mask[row + zp]) { sum += phi[row + zp] * cz; diagonal += cz; }
+                        } else if (openNorth) diagonal += cz;
+                        
+                        const updated = (sum - divergence[i]) / diagonal;
+                        phi[i] += overRelaxation * (updated - phi[i]);
+                    }
+                }
+            }
+        }
+        
+        for (let h = 0; h < ny; h++) {
+            const hm = Math.max(h - 1, 0), hp = Math.min(h + 1, ny - 1);
+            // 固壁上的法向风速保持为零，其余边界按边界外的 φ 修正
+            const correctW = h > 0 && (h < ny - 1 || openTop);
+            for (let x = 0; x < nx; x++) {
+                const xm = this.westNeighbor[x], xp = this.eastNeighbor[x];
+                const correctU = (xm !== x || openWest) && (xp !== x || openEast);
+                const row = h * layerSize + x * nz;
+                const rowW = h * layerSize + xm * nz, rowE = h * layerSize + xp * nz;
+                const rowBelow = hm * layerSize + x * nz, rowAbove = hp * layerSize + x * nz;
+                for (let z = 0; z < nz; z++) {
+                    const i = row + z;
+                    if (!mask[i]) continue;
+                    
+                    // 地形内的 φ 以当前格点的值代替（法向梯度为零），开放边界外的 φ 为零
+                    const zm = this.southNeighbor[z], zp = this.northNeighbor[z];
+                    const center = phi[i];
+                    const west = xm === x ? 0 : mask[rowW + z] ? phi[rowW + z] : center;
+                    const east = xp === x ? 0 : mask[rowE + z] ? phi[rowE + z] : center;
+                    const south = zm === z ? 0 : mask[row + zm] ? phi[row + zm] : center;
+                    const north = zp === z ? 0 : mask[row + zp] ? phi[row + zp] : center;
+                    const below = mask[rowBelow + z] ? phi[rowBelow + z] : center;
+                    const above = hp === h ? 0 : phi[rowAbove + z];
+                    if (correctU) {
+                        U[i] -= (east - west) / (2 * dx);
+                    }
+                    if ((zm !== z || openSouth) && (zp !== z || openNorth)) {
+                        V[i] -= (north - south) / (2 * dz);
+                    }
+                    if (correctW) {
+                        W[i] -= (above - below) / (2 * dy);
+                    }
+                }
+            }
+        }
+    }
+    
+    updatePressureField() {
+        // 自地面向上积分每个气柱的静力方程 dp/dz = -pg/(Rd·Tv)
+        // 模拟空间顶部为刚性盖（固壁）时，气柱的整层平均气压距平应为零：
+        // 暖气柱因此低层为低压、高空为高压，无辐散层高度由温度廓线自然决定；
+        // 顶部开放时气压扰动可以向上传出，改为令顶层的气压距平为零，暖气柱下方全为低压
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
+        const layerSize = nx * nz;
+        const surfacePressure = this.calculateBasePressure(0);
+        const T = this.temperatureField;
+        const P = this.pressureField;
+        const q = this.humidityField;
+        
+        for (let column = 0; column < layerSize; column++) {
+            P[column] = surfacePressure;
+            
+            for (let i = column + layerSize; i < P.length; i += layerSize) {
+                const meanTv = 0.5 * (this.calculateVirtualTemperature(T[i - layerSize], q[i - layerSize]) +
+                                      this.calculateVirtualTemperature(T[i], q[i]));
+                P[i] = P[i - layerSize] * Math.exp(-GRAVITY * dy / (DRY_AIR_GAS_CONSTANT * meanTv));
+            }
+        }
+        
+        // 逐层求地形以上格点的水平平均，再把每个气柱地形以上部分的平均距平扣除
+        const mask = this.airMask;
+        const levelMeans = [];
+        for (let h = 0; h < ny; h++) {
+            let sum = 0, count = 0;
+            for (let i = h * layerSize; i < (h + 1) * layerSize; i++) {
+                if (!mask[i]) continue;
+                sum += P[i];
+                count++;
+            }
+            levelMeans[h] = count > 0 ? sum / count : 0;
+        }
+        
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const column = x * nz + z;
+                const ground = this.groundLevel[x][z];
+                let columnAnomaly = 0;
+                if (this.params.boundaries.top === 'open') {
+                    columnAnomaly = P[(ny - 1) * layerSize + column] - levelMeans[ny - 1];
+                } else {
+                    for (let h = ground; h < ny; h++) {
+                        columnAnomaly += (P[h * layerSize + column] - levelMeans[h]) / (ny - ground);
+                    }
+                }
+                
+                for (let i = column; i < P.length; i += layerSize) {
+                    P[i] -= columnAnomaly;
+                    this.densityField[i] = this.calculateDensity(P[i], T[i], q[i]);
+                }
+            }
+        }
+    }
+    
+    findPressureCenters(height) {
+        // 在中央剖面（z=0）上寻找指定高度的高压和低压中心
+        const { nx, ny, nz } = this.params;
+        const { dy } = this.getGridSpacing();
+        const h = Math.max(0, Math.min(ny - 1, Math.round(height / dy)));
+        const z = Math.floor(nz / 2);
+        let high = null;
+        let low = null;
+        
+        for (let x = 0; x < nx; x++) {
+            const pressure = this.pressureField[this.cellIndex(h, x, z)];
+            const worldX = this.gridToWorldX(x);
+            
+            if (!high || pressure > high.pressure) {
+                high = { x: worldX, y: h * dy, z: 0, pressure };
+            }
+            if (!low || pressure < low.pressure) {
+                low = { x: worldX, y: h * dy, z: 0, pressure };
+            }
+        }
+        
+        return { high, low };
+    }
+    
+    reset() {
+        // 恢复初始大气状态
+        this.timeAccumulator = 0;
+        this.simulationTime = 0;
+        this.timeOfDay = this.params.startHour;
+        this.surfaceTemperatureMap.forEach((column, x) => {
+            column.forEach((value, z) => {
+                column[z] = this.getReferenceTemperature(this.terrainHeight[x][z]);
+            });
+        });
+        this.surfaceResistance.forEach(column => column.fill(Infinity));
+        this.initializeFields();
+    }
+    
+    exportState(buffers = {}) {
+        // 把主线程需要的场和昼夜地表状态复制为类型化数组，可在线程间转移；各场保持原有精度（气压为 Float64），
+        // 地表温度和地表阻抗按 [x][z] 展开；buffers 中类型和长度合适的数组会被复用
+        const fields = {};
+        const copy = (name, length, ArrayType) => {
+            const reusable = buffers[name] instanceof ArrayType && buffers[name].length === length;
+            fields[name] = reusable ? buffers[name] : new ArrayType(length);
+            return fields[name];
+        };
+        
+        STATE_FIELDS.forEach(name => {
+            copy(name, this[name].length, this[name].constructor).set(this[name]);
+        });
+        
+        const { nx, nz } = this.params;
+        const surfaceTemperature = copy('surfaceTemperatureMap', nx * nz, Float64Array);
+        const surfaceResistance = copy('surfaceResistance', nx * nz, Float64Array);
+        for (let x = 0; x < nx; x++) {
+            surfaceTemperature.set(this.surfaceTemperatureMap[x], x * nz);
+            surfaceResistance.set(this.surfaceResistance[x], x * nz);
+        }
+        
+        return { simulationTime: this.simulationTime, timeOfDay: this.timeOfDay, hasTracer: this.hasTracer, fields };
+    }
+    
+    importState(state) {
+        // 由 exportState 的结果恢复场、地表状态和时间，再由气压、气温和比湿重算密度，
+        // 使本线程的模型副本可以直接接着积分
+        const { nx, nz } = this.params;
+        STATE_FIELDS.forEach(name => this[name].set(state.fields[name]));
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                this.surfaceTemperatureMap[x][z] = state.fields.surfaceTemperatureMap[x * nz + z];
+                this.surfaceResistance[x][z] = state.fields.surfaceResistance[x * nz + z];
+            }
+        }
+        
+        const P = this.pressureField, T = this.temperatureField, q = this.humidityField;
+        for (let i = 0; i < P.length; i++) {
+            this.densityField[i] = this.calculateDensity(P[i], T[i], q[i]);
+        }
+        
+        this.simulationTime = state.simulationTime;
+        this.timeOfDay = state.timeOfDay;
+        this.hasTracer = state.hasTracer;
+    }
+    
+    applyScenario(settings = {}) {
+        // 按情景预设重新配置边界条件、背景风、地形、地表类型、冷热源、污染源、昼夜循环和地转偏向力，大气从参考廓线重新开始；
+        // 未给出的项保持当前设置，但污染源属于情景本身，未给出时清空，避免上一个情景的烟囱继续排放
+        if (settings.boundaries) this.configureBoundaries(settings.boundaries);
+        if (settings.backgroundWind) this.setBackgroundWind(settings.backgroundWind);
+        
+        if (settings.terrain) {
+            this.params.terrain = settings.terrain;
+            this.params.terrainPeakHeight = settings.terrainPeakHeight || this.params.terrainPeakHeight;
+            this.buildTerrain(this.getTerrainShape(this.params.terrain, this.params.terrainPeakHeight));
+        }
+        
+        if (settings.surface) {
+            this.fillSurface(settings.surface.base || 'land');
+            (settings.surface.regions || []).forEach(region => {
+                if (region.radius !== undefined) {
+                    this.paintSurface(region.x || 0, region.z || 0, region.radius, region.type);
+                } else {
+                    this.paintSurfaceRect(
+                        region.xMin !== undefined ? region.xMin : -Infinity,
+                        region.xMax !== undefined ? region.xMax : Infinity,
+                        region.zMin !== undefined ? region.zMin : -Infinity,
+                        region.zMax !== undefined ? region.zMax : Infinity,
+                        region.type
+                    );
+                }
+            });
+        }
+        
+        if (settings.heatIntensity !== undefined) this.setHeatIntensity(settings.heatIntensity);
+        if (settings.coldIntensity !== undefined) this.setColdIntensity(settings.coldIntensity);
+        if (settings.sources) {
+            this.getSources().forEach(source => this.removeSource(source.id));
+            settings.sources.forEach(source => this.addSource(source));
+        }
+        this.getTracerSources().forEach(source => this.removeTracerSource(source.id));
+        (settings.tracerSources || []).forEach(source => this.addTracerSource(source));
+        
+        if (settings.diurnalCycle !== undefined) this.setDiurnalCycle(settings.diurnalCycle);
+        if (settings.timeOfDay !== undefined) this.params.startHour = settings.timeOfDay;
+        if (settings.coriolisEnabled !== undefined) this.setCoriolisEnabled(settings.coriolisEnabled);
+        if (settings.latitude !== undefined) this.setLatitude(settings.latitude);
+        if (settings.relaxationTime !== undefined) this.setRelaxationTime(settings.relaxationTime);
+        if (settings.boundaryLayerDepth !== undefined) this.setBoundaryLayerDepth(settings.boundaryLayerDepth);
+        if (settings.lapseRateLayers) this.params.lapseRateLayers = settings.lapseRateLayers;
+        if (settings.inversions) this.params.inversions = settings.inversions;
+        
+        this.reset();
+    }
+    
+    setDiurnalCycle(enabled) {
+        // 昼夜循环由地表类型驱动，冷热源暂停作用
+        this.params.diurnalCycle = enabled;
+    }
+    
+    setTimeOfDay(hours) {
+        this.timeOfDay = ((hours % 24) + 24) % 24;
+    }
+    
+    setHeatIntensity(intensity) {
+        // 统一设置所有热源的强度，新添加的热源也采用该强度
+        this.heatIntensity = Math.max(0, Math.min(100, intensity));
+        this.getSources('heat').forEach(source => {
+            source.intensity = this.heatIntensity;
+        });
+    }
+    
+    setColdIntensity(intensity) {
+        this.coldIntensity = Math.max(0, Math.min(100, intensity));
+        this.getSources('cold').forEach(source => {
+            source.intensity = this.coldIntensity;
+        });
+    }
+    
+    setCoriolisEnabled(enabled) {
+        this.params.coriolisEnabled = enabled;
+    }
+    
+    setLatitude(latitude) {
+        this.params.latitude = Math.max(-90, Math.min(90, latitude));
+    }
+    
+    setTemperatureProfile(profile = {}) {
+        // 设置背景温度廓线（lapseRateLayers、inversions，未给出的保持不变），大气从新廓线重新开始
+        if (profile.lapseRateLayers) this.params.lapseRateLayers = profile.lapseRateLayers;
+        if (profile.inversions) this.params.inversions = profile.inversions;
+        this.reset();
+    }
+    
+    setRelaxationTime(seconds) {
+        this.params.relaxationTime = Math.max(600, seconds);
+    }
+    
+    setBoundaryLayerDepth(depth) {
+        // 边界层厚度（m），限制在最低一层的厚度和模拟空间高度之间
+        this.params.boundaryLayerDepth = Math.max(this.getGridSpacing().dy, Math.min(2000, depth));
+    }
+    
+    setBoundaryConditions(boundaries = {}) {
+        // 设置各面的边界条件（未给出的面保持不变），大气从参考廓线重新开始
+        this.configureBoundaries(boundaries);
+        this.reset();
+    }
+    
+    setBoundaryCondition(face, mode) {
+        // 设置单个面的边界条件；周期边界成对出现，设为周期或从周期改为其他条件时对面随之改变
+        const boundaries = { [face]: mode };
+        const opposite = OPPOSITE_FACES[face];
+        if (opposite && (mode === 'periodic' || this.params.boundaries[opposite] === 'periodic')) {
+            boundaries[opposite] = mode;
+        }
+        this.setBoundaryConditions(boundaries);
+    }
+    
+    configureBoundaries(boundaries) {
+        // 更新边界条件及由它决定的相邻格点、背景风和地表法向量，不重置大气
+        this.params.boundaries = this.normalizeBoundaries({ ...this.params.boundaries, ...boundaries });
+        this.buildBoundaryNeighbors();
+        this.buildBackgroundWind();
+        this.computeTerrainNormals();
+    }
+    
+    setBackgroundWind(wind = {}) {
+        // 设置背景风（speed、direction、shear，未给出的保持不变），不重置大气，正在进行的环流随即受到影响
+        const merged = { ...this.params.backgroundWind, ...wind };
+        this.params.backgroundWind = {
+            speed: Math.max(0, merged.speed),
+            direction: ((merged.direction % 360) + 360) % 360,
+            shear: merged.shear
+        };
+        this.buildBackgroundWind();
+    }
+    
+    isInsideDomain(x, y, z) {
+        return Math.abs(x) <= 2000 && y >= 0 && y <= 2000 && Math.abs(z) <= 500;
+    }
+    
+    getTemperatureAt(x, y, z) {
+        // 获取指定位置的温度（三线性插值）
+        if (!this.isInsideDomain(x, y, z)) return this.params.baseTemperature;
+        return this.sample(this.temperatureField, x, y, z);
+    }
+    
+    getPressureAt(x, y, z) {
+        // 获取指定位置的气压
+        if (!this.isInsideDomain(x, y, z)) return 101325; // 标准大气压
+        return this.sample(this.pressureField, x, y, z);
+    }
+    
+    getHumidityAt(x, y, z) {
+        // 指定位置的比湿（kg/kg）
+        if (!this.isInsideDomain(x, y, z)) return 0;
+        return this.sample(this.humidityField, x, y, z);
+    }
+    
+    getTracerAt(x, y, z) {
+        // 指定位置的污染物浓度（μg/m³）
+        if (!this.isInsideDomain(x, y, z)) return 0;
+        return this.sample(this.tracerField, x, y, z);
+    }
+    
+    getBuoyancyAt(x, y, z) {
+        // 指定位置空气相对背景廓线的浮力加速度 g·(T - Tref)/Tref（m/s²）；
+        // 逆温层以上背景更暖，从下方上升的空气在那里受到向下的浮力
+        const reference = this.getReferenceTemperature(y);
+        return this.calculateBuoyancy(this.getTemperatureAt(x, y, z) + 273.15, reference + 273.15);
+    }
+    
+    getBackgroundWindAt(y) {
+        // 指定高度的背景风（m/s），返回 {x, z}，在相邻两层之间线性插值
+        const cell = this.getInterpolationCell(y / this.getGridSpacing().dy, this.params.ny, false);
+        return {
+            x: this.backgroundU[cell.i0] * (1 - cell.t) + this.backgroundU[cell.i1] * cell.t,
+            z: this.backgroundV[cell.i0] * (1 - cell.t) + this.backgroundV[cell.i1] * cell.t
+        };
+    }
+    
+    getWindVectorAt(x, y, z) {
+        // 插值得到网格风场与背景风之和（m/s），返回 {x, y, z}，y 为垂直分量
+        if (!this.isInsideDomain(x, y, z)) return { x: 0, y: 0, z: 0 };
+        const background = this.getBackgroundWindAt(y);
+        return {
+            x: this.sample(this.windU, x, y, z) + background.x,
+            y: this.sample(this.windW, x, y, z),
+            z: this.sample(this.windV, x, y, z) + background.z
+        };
+    }
+    
+    getMaxWindSpeed(nearSurface = false) {
+        // 网格风场（含背景风）中的最大风速（m/s）；nearSurface 为 true 时只取各列最低的空气格点的水平风速
+        const { nx, nz, ny } = this.params;
+        let maxSpeed = 0;
+        for (let x = 0; x < nx; x++) {
+            for (let z = 0; z < nz; z++) {
+                const ground = this.groundLevel[x][z];
+                const top = nearSurface ? ground : ny - 1;
+                for (let h = ground; h <= top; h++) {
+                    const i = this.cellIndex(h, x, z);
+                    const u = this.windU[i] + this.backgroundU[h], v = this.windV[i] + this.backgroundV[h];
+                    const w = nearSurface ? 0 : this.windW[i];
+                    maxSpeed = Math.max(maxSpeed, Math.sqrt(u * u + v * v + w * w));
+                }
+            }
+        }
+        return maxSpeed;
+    }
+}
+
+ThermalModel.SURFACE_TYPES = SURFACE_TYPES;
+ThermalModel.STATE_FIELDS = STATE_FIELDS;
+
+// 浏览器主线程和 Web Worker 中作为全局类使用，在 Node 中通过 require 载入
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThermalModel;
+} else {
+    self.ThermalModel = ThermalModel;
+}
+    
\ No newline at end of file
@@ -3,6 +3,15 @@
  * 协调各个子系统的运行
  */
 
+// 边界条件下拉框：热力模型各面对应的元素 id
+const BOUNDARY_SELECTS = {
+    xMin: 'boundaryXMin',
+    xMax: 'boundaryXMax',
+    zMin: 'boundaryZMin',
+    zMax: 'boundaryZMax',
+    top: 'boundaryTop'
+};
+
 class ThermalCirculationApp {
     constructor() {
         this.atmosphere = null;
@@ -14,6 +23,13 @@ class ThermalCirculationApp {
         this.isPlaying = false;
         this.simulationSpeed = 1.0;
         this.lastTime = 0;
+        this.selectedSourceId = null;
+        
+        // 固定步长推进：渲染帧的真实时间累积后按 fixedDelta 切分，模拟结果与帧率无关
+        this.seed = 1;
+        this.fixedDelta = 1 / 60;
+        this.maxTicksPerFrame = 15;
+        this.frameAccumulator = 0;
         
         this.init();
     }
@@ -31,18 +47,32 @@ class ThermalCirculationApp {
         
         // 初始化热力系统
         this.thermalSystem = new ThermalSystem(scene, {
-            gridSize: 50,
-            heightLevels: 20,
+            nx: 50,
+            ny: 20,
+            nz: 50,
             heatSourcePos: { x: -800, z: 0 },
             coldSourcePos: { x: 800, z: 0 },
-            baseTemperature: 20
+            baseTemperature: 20,
+            diurnalCycle: false,
+            startHour: 9,
+            latitude: 30,
+            coriolisEnabled: false,
+            terrain: 'flat'
         });
         
+        // 在三维视图中选中并拖动冷热源
+        this.atmosphere.onObjectPick = (object) => this.selectSource(object.userData.sourceId);
+        this.atmosphere.onObjectDrag = (object, point) => {
+            this.thermalSystem.updateSource(object.userData.sourceId, { x: point.x, z: point.z });
+        };
+        this.updateGroundTexture();
+        this.updateGroundTerrain();
+        
         // 初始化粒子系统
         this.particleSystem = new ParticleSystem(
             scene, 
             this.thermalSystem, 
-            { maxParticles: 1000, particleSize: 5, particleSpeed: 1 }
+            { maxParticles: 1000, particleSize: 5, seed: this.seed }
         );
         
         // 初始化可视化系统
@@ -57,6 +87,9 @@ class ThermalCirculationApp {
             this.thermalSystem, 
             this.particleSystem
         );
+        
+        // 情景预设库
+        this.scenarioLibrary = new ScenarioLibrary();
     }
     
     setupUI() {
@@ -71,6 +104,23 @@ class ThermalCirculationApp {
             this.setSpeed(parseFloat(e.target.value));
         });
         
+        // 情景案例
+        const scenarioSelect = document.getElementById('scenarioSelect');
+        this.scenarioLibrary.list().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            scenarioSelect.appendChild(option);
+        });
+        scenarioSelect.addEventListener('change', (e) => {
+            this.loadScenario(e.target.value);
+        });
+        
+        // 随机种子
+        document.getElementById('seedInput').addEventListener('change', (e) => {
+            this.setSeed(parseInt(e.target.value) || 0);
+        });
+        
         // 热源强度控制
         const heatSlider = document.getElementById('heatIntensity');
         heatSlider.addEventListener('input', (e) => {
@@ -85,6 +135,160 @@ class ThermalCirculationApp {
             document.getElementById('coldValue').textContent = e.target.value + '%';
         });
         
+        // 辐射松弛时间尺度（h）
+        document.getElementById('relaxationSlider').addEventListener('input', (e) => {
+            this.thermalSystem.setRelaxationTime(parseFloat(e.target.value) * 3600);
+            document.getElementById('relaxationValue').textContent = parseFloat(e.target.value).toFixed(1) + ' h';
+        });
+        
+        // 冷热源编辑
+        document.getElementById('addHeatSourceBtn').addEventListener('click', () => this.addSource('heat'));
+        document.getElementById('addColdSourceBtn').addEventListener('click', () => this.addSource('cold'));
+        document.getElementById('removeSourceBtn').addEventListener('click', () => this.removeSelectedSource());
+        
+        document.getElementById('sourceShapeSelect').addEventListener('change', (e) => {
+            this.updateSelectedSource({ shape: e.target.value });
+        });
+        
+        document.getElementById('sourceRadiusSlider').addEventListener('input', (e) => {
+            this.updateSelectedSource({ radius: parseInt(e.target.value) });
+            document.getElementById('sourceRadiusValue').textContent = e.target.value + ' m';
+        });
+        
+        // 地表类型绘制
+        document.getElementById('surfaceBrushSelect').addEventListener('change', (e) => {
+            this.setSurfaceBrush(e.target.value);
+        });
+        
+        // 污染物释放和浓度探测
+        document.getElementById('tracerToolSelect').addEventListener('change', (e) => {
+            this.setTracerTool(e.target.value);
+        });
+        
+        [
+            ['tracerHeightSlider', 'tracerHeightValue', ' m'],
+            ['tracerRateSlider', 'tracerRateValue', ' g/s'],
+            ['tracerPuffSlider', 'tracerPuffValue', ' kg']
+        ].forEach(([sliderId, valueId, unit]) => {
+            document.getElementById(sliderId).addEventListener('input', (e) => {
+                document.getElementById(valueId).textContent = e.target.value + unit;
+            });
+        });
+        
+        document.getElementById('clearTracerBtn').addEventListener('click', () => this.thermalSystem.clearTracer());
+        document.getElementById('clearProbesBtn').addEventListener('click', () => this.visualization.clearProbes());
+        
+        // 粒子释放源
+        document.getElementById('emitterToolSelect').addEventListener('change', (e) => {
+            this.setEmitterTool(e.target.value);
+        });
+        
+        [
+            ['emitterHeightSlider', 'emitterHeightValue', ' m'],
+            ['emitterSizeSlider', 'emitterSizeValue', ' m'],
+            ['emitterRateSlider', 'emitterRateValue', ' 个/分钟'],
+            ['emitterLifetimeSlider', 'emitterLifetimeValue', ' 分钟']
+        ].forEach(([sliderId, valueId, unit]) => {
+            document.getElementById(sliderId).addEventListener('input', (e) => {
+                document.getElementById(valueId).textContent = e.target.value + unit;
+            });
+        });
+        
+        document.getElementById('clearEmittersBtn').addEventListener('click', () => {
+            this.particleSystem.clearEmitters();
+            this.updateEmitterList();
+        });
+        
+        // 地形
+        const terrainSelect = document.getElementById('terrainSelect');
+        const terrainHeightSlider = document.getElementById('terrainHeightSlider');
+        terrainSelect.addEventListener('change', () => {
+            this.generateTerrain(terrainSelect.value, parseInt(terrainHeightSlider.value));
+        });
+        
+        terrainHeightSlider.addEventListener('change', () => {
+            this.generateTerrain(terrainSelect.value, parseInt(terrainHeightSlider.value));
+        });
+        
+        terrainHeightSlider.addEventListener('input', (e) => {
+            document.getElementById('terrainHeightValue').textContent = e.target.value + ' m';
+        });
+        
+        document.getElementById('terrainImageInput').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadTerrainImage(e.target.files[0], parseInt(terrainHeightSlider.value));
+            }
+        });
+        
+        // 大气层结：调整后大气从新的背景廓线重新开始，拖动滑块时只更新显示
+        const stabilityControls = [
+            ['lowerLapseSlider', 'lowerLapseValue', ' K/km'],
+            ['layerHeightSlider', 'layerHeightValue', ' m'],
+            ['upperLapseSlider', 'upperLapseValue', ' K/km'],
+            ['inversionHeightSlider', 'inversionHeightValue', ' m'],
+            ['inversionStrengthSlider', 'inversionStrengthValue', ' K']
+        ];
+        stabilityControls.forEach(([sliderId, valueId, unit]) => {
+            const slider = document.getElementById(sliderId);
+            slider.addEventListener('input', (e) => {
+                document.getElementById(valueId).textContent = e.target.value + unit;
+            });
+            slider.addEventListener('change', () => this.applyTemperatureProfile());
+        });
+        document.getElementById('inversionToggle').addEventListener('change', () => this.applyTemperatureProfile());
+        
+        // 边界条件：各面单独选择，周期边界的对面随之改变
+        Object.keys(BOUNDARY_SELECTS).forEach(face => {
+            document.getElementById(BOUNDARY_SELECTS[face]).addEventListener('change', (e) => {
+                this.setBoundaryCondition(face, e.target.value);
+            });
+        });
+        
+        // 背景风控制：调整后环流随即响应，模拟不重新开始
+        document.getElementById('backgroundSpeedSlider').addEventListener('input', (e) => {
+            this.setBackgroundWind({ speed: parseFloat(e.target.value) });
+        });
+        
+        document.getElementById('backgroundDirectionSelect').addEventListener('change', (e) => {
+            this.setBackgroundWind({ direction: parseFloat(e.target.value) });
+        });
+        
+        document.getElementById('backgroundShearSlider').addEventListener('input', (e) => {
+            this.setBackgroundWind({ shear: parseFloat(e.target.value) });
+        });
+        
+        document.getElementById('boundaryLayerSlider').addEventListener('input', (e) => {
+            this.thermalSystem.setBoundaryLayerDepth(parseFloat(e.target.value));
+            this.updateBackgroundWindControls();
+        });
+        
+        // 风速廓线位置
+        document.getElementById('profileXSlider').addEventListener('input', (e) => {
+            this.visualization.setProfilePosition(parseFloat(e.target.value));
+            document.getElementById('profileXValue').textContent = e.target.value + ' m';
+        });
+        
+        // 昼夜循环控制
+        document.getElementById('diurnalToggle').addEventListener('change', (e) => {
+            this.thermalSystem.setDiurnalCycle(e.target.checked);
+        });
+        
+        document.getElementById('timeOfDaySlider').addEventListener('input', (e) => {
+            this.thermalSystem.setTimeOfDay(parseFloat(e.target.value));
+            this.updateClockDisplay();
+        });
+        
+        // 地转偏向力控制
+        document.getElementById('coriolisToggle').addEventListener('change', (e) => {
+            this.thermalSystem.setCoriolisEnabled(e.target.checked);
+        });
+        
+        const latitudeSlider = document.getElementById('latitudeSlider');
+        latitudeSlider.addEventListener('input', (e) => {
+            this.thermalSystem.setLatitude(parseInt(e.target.value));
+            document.getElementById('latitudeValue').textContent = e.target.value + '°N';
+        });
+        
         // 视角控制
         document.getElementById('frontView').addEventListener('click', () => {
             this.setView('front');
@@ -127,10 +331,427 @@ class ThermalCirculationApp {
             this.visualization.toggleLayer('particles', e.target.checked);
         });
         
+        document.getElementById('showClouds').addEventListener('change', (e) => {
+            this.visualization.toggleLayer('clouds', e.target.checked);
+        });
+        
+        document.getElementById('showSmoke').addEventListener('change', (e) => {
+            this.visualization.toggleLayer('smoke', e.target.checked);
+        });
+        
+        document.getElementById('particleColorSelect').addEventListener('change', (e) => {
+            this.particleSystem.setColorMode(e.target.value);
+        });
+        
+        document.getElementById('parcelMoisture').addEventListener('change', (e) => {
+            this.particleSystem.setParcelMoisture(e.target.checked);
+        });
+        
+        // 粒子尾迹：长度按模拟分钟设置，换算为尾迹点数
+        document.getElementById('showTrails').addEventListener('change', (e) => {
+            this.particleSystem.setTrailsEnabled(e.target.checked);
+        });
+        
+        document.getElementById('trailLengthSlider').addEventListener('input', (e) => {
+            const minutes = parseInt(e.target.value);
+            this.particleSystem.setTrailLength(minutes * 60 / this.particleSystem.params.trailInterval);
+            document.getElementById('trailLengthValue').textContent = minutes + ' 分钟';
+        });
+        
+        document.getElementById('trailOpacitySlider').addEventListener('input', (e) => {
+            const percent = parseInt(e.target.value);
+            this.particleSystem.setTrailOpacity(percent / 100);
+            document.getElementById('trailOpacityValue').textContent = percent + '%';
+        });
+        
         // 初始化显示值
         document.getElementById('heatValue').textContent = heatSlider.value + '%';
         document.getElementById('coldValue').textContent = coldSlider.value + '%';
         document.getElementById('speedValue').textContent = speedSlider.value + 'x';
+        document.getElementById('latitudeValue').textContent = latitudeSlider.value + '°N';
+        this.updateClockDisplay();
+        this.updateSourceControls();
+    }
+    
+    loadScenario(id) {
+        // 载入情景预设：配置热力系统、相机视角和可视化图层，并同步控制面板
+        const preset = this.scenarioLibrary.get(id);
+        if (!preset) return;
+        
+        this.pause();
+        if (this.educationSystem.isInStepMode()) {
+            this.educationSystem.endStepMode();
+        }
+        
+        this.thermalSystem.applyScenario(preset.thermal);
+        this.removeOrphanedEmitters();
+        this.selectSource(null);
+        this.updateGroundTexture();
+        this.onTerrainChanged();
+        
+        if (preset.camera && preset.camera.view) {
+            this.setView(preset.camera.view);
+            this.updateViewButtons(preset.camera.view + 'View');
+        } else if (preset.camera && preset.camera.position) {
+            this.atmosphere.setCameraPosition(preset.camera.position);
+        }
+        
+        Object.keys(preset.layers).forEach(layer => {
+            this.visualization.toggleLayer(layer, preset.layers[layer]);
+            const checkbox = document.getElementById('show' + layer.charAt(0).toUpperCase() + layer.slice(1));
+            if (checkbox) checkbox.checked = preset.layers[layer];
+        });
+        
+        this.updateThermalControls();
+        document.getElementById('scenarioDescription').textContent = preset.description;
+    }
+    
+    updateThermalControls() {
+        // 热力系统被整体重新配置后，同步各滑块和开关的显示
+        const { params } = this.thermalSystem;
+        document.getElementById('heatIntensity').value = this.thermalSystem.heatIntensity;
+        document.getElementById('heatValue').textContent = this.thermalSystem.heatIntensity + '%';
+        document.getElementById('coldIntensity').value = this.thermalSystem.coldIntensity;
+        document.getElementById('coldValue').textContent = this.thermalSystem.coldIntensity + '%';
+        document.getElementById('relaxationSlider').value = params.relaxationTime / 3600;
+        document.getElementById('relaxationValue').textContent = (params.relaxationTime / 3600).toFixed(1) + ' h';
+        document.getElementById('diurnalToggle').checked = params.diurnalCycle;
+        document.getElementById('coriolisToggle').checked = params.coriolisEnabled;
+        document.getElementById('latitudeSlider').value = params.latitude;
+        document.getElementById('latitudeValue').textContent = params.latitude + '°N';
+        if (params.terrain !== 'image') {
+            document.getElementById('terrainSelect').value = params.terrain;
+        }
+        document.getElementById('terrainHeightSlider').value = params.terrainPeakHeight;
+        document.getElementById('terrainHeightValue').textContent = params.terrainPeakHeight + ' m';
+        this.updateStabilityControls();
+        this.updateBoundaryControls();
+        this.updateBackgroundWindControls();
+        this.updateClockDisplay();
+    }
+    
+    addSource(type) {
+        // 新冷热源放在地面中央，由用户拖到目标位置
+        const id = this.thermalSystem.addSource({ type: type, x: 0, z: 0 });
+        this.selectSource(id);
+    }
+    
+    removeSelectedSource() {
+        if (this.selectedSourceId === null) return;
+        
+        this.thermalSystem.removeSource(this.selectedSourceId);
+        this.selectSource(null);
+        this.removeOrphanedEmitters();
+    }
+    
+    selectSource(id) {
+        this.selectedSourceId = id;
+        this.updateSourceControls();
+    }
+    
+    updateSelectedSource(changes) {
+        if (this.selectedSourceId === null) return;
+        
+        this.thermalSystem.updateSource(this.selectedSourceId, changes);
+        this.updateSourceControls();
+    }
+    
+    updateSourceControls() {
+        // 同步选中冷热源的面板显示，并高亮其网格体
+        const source = this.selectedSourceId !== null ? this.thermalSystem.getSource(this.selectedSourceId) : null;
+        
+        this.thermalSystem.getSources().forEach(item => {
+            this.thermalSystem.getSourceMesh(item.id).material.emissive.setHex(item === source ? 0x444444 : 0x000000);
+        });
+        
+        document.getElementById('selectedSourceLabel').textContent =
+            source ? `${source.type === 'heat' ? '热源' : '冷源'} #${source.id}` : '无';
+        if (source) {
+            document.getElementById('sourceShapeSelect').value = source.shape;
+            document.getElementById('sourceRadiusSlider').value = source.radius;
+            document.getElementById('sourceRadiusValue').textContent = source.radius + ' m';
+        }
+    }
+    
+    setSurfaceBrush(type) {
+        // 选择地表类型后，在地面上拖动以200米半径绘制
+        if (type === 'none') {
+            this.atmosphere.onGroundPaint = null;
+            return;
+        }
+        
+        document.getElementById('tracerToolSelect').value = 'none';
+        document.getElementById('emitterToolSelect').value = 'none';
+        this.setTracerTool('none');
+        this.atmosphere.onGroundPaint = (point) => {
+            if (this.thermalSystem.paintSurface(point.x, point.z, 200, type) > 0) {
+                this.updateGroundTexture();
+            }
+        };
+    }
+    
+    setTracerTool(tool) {
+        // 选择释放方式后在地面上单击：烟团一次释放，烟囱在该处持续排放，探测点读取近地面浓度
+        if (tool === 'none') {
+            this.atmosphere.onGroundClick = null;
+            return;
+        }
+        
+        document.getElementById('surfaceBrushSelect').value = 'none';
+        document.getElementById('emitterToolSelect').value = 'none';
+        this.setSurfaceBrush('none');
+        this.atmosphere.onGroundClick = (point) => {
+            const height = parseInt(document.getElementById('tracerHeightSlider').value);
+            if (tool === 'puff') {
+                this.thermalSystem.releaseTracerPuff(point.x, point.z, height,
+                    parseFloat(document.getElementById('tracerPuffSlider').value));
+            } else if (tool === 'plume') {
+                this.thermalSystem.addTracerSource({
+                    x: point.x,
+                    z: point.z,
+                    height: height,
+                    rate: parseFloat(document.getElementById('tracerRateSlider').value)
+                });
+            } else if (tool === 'probe') {
+                this.visualization.addProbe(point.x, point.z);
+            }
+        };
+    }
+    
+    setEmitterTool(type) {
+        // 选择释放源类型后在地面上单击放置；冷热源地面释放需单击在冷热源范围内
+        if (type === 'none') {
+            this.atmosphere.onGroundClick = null;
+            return;
+        }
+        
+        document.getElementById('surfaceBrushSelect').value = 'none';
+        document.getElementById('tracerToolSelect').value = 'none';
+        this.setSurfaceBrush('none');
+        this.atmosphere.onGroundClick = (point) => this.placeEmitter(type, point);
+    }
+    
+    placeEmitter(type, point) {
+        // 按面板设置添加释放源（速率和寿命由每分钟、分钟换算为秒），粒子改为按释放源颜色显示
+        const options = {
+            type: type,
+            x: point.x,
+            z: point.z,
+            axis: document.getElementById('emitterAxisSelect').value,
+            height: parseInt(document.getElementById('emitterHeightSlider').value),
+            size: parseInt(document.getElementById('emitterSizeSlider').value),
+            rate: parseInt(document.getElementById('emitterRateSlider').value) / 60,
+            lifetime: parseInt(document.getElementById('emitterLifetimeSlider').value) * 60,
+            color: parseInt(document.getElementById('emitterColorInput').value.slice(1), 16)
+        };
+        
+        if (type === 'surface') {
+            const source = this.thermalSystem.getSources().find(item =>
+                this.thermalSystem.getSourceDistance(item, point.x, point.z) < item.radius);
+            if (!source) return;
+            options.sourceId = source.id;
+        }
+        
+        this.particleSystem.addEmitter(options);
+        document.getElementById('emitterNotice').textContent = '';
+        document.getElementById('particleColorSelect').value = 'emitter';
+        this.particleSystem.setColorMode('emitter');
+        this.updateEmitterList();
+    }
+    
+    removeOrphanedEmitters() {
+        // 冷热源删除或被情景替换后，其地面上的释放源随之删除，并在列表下方提示
+        const removed = this.particleSystem.removeOrphanedEmitters();
+        if (removed.length === 0) return;
+        
+        const ids = removed.map(emitter => '#' + emitter.id).join('、');
+        document.getElementById('emitterNotice').textContent = `冷热源已删除，其地面上的释放源 ${ids} 已一并删除`;
+        this.updateEmitterList();
+    }
+    
+    updateEmitterList() {
+        // 列出所有释放源，可逐个开关或删除
+        const names = { point: '点', line: '线', plane: '面', surface: '冷热源地面' };
+        const container = document.getElementById('emitterList');
+        container.innerHTML = '';
+        
+        this.particleSystem.getEmitters().forEach(emitter => {
+            const row = document.createElement('div');
+            row.className = 'emitter-item';
+            
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = emitter.enabled;
+            checkbox.addEventListener('change', () => {
+                this.particleSystem.updateEmitter(emitter.id, { enabled: checkbox.checked });
+            });
+            const swatch = document.createElement('span');
+            swatch.className = 'emitter-swatch';
+            swatch.style.background = '#' + emitter.color.toString(16).padStart(6, '0');
+            const name = document.createElement('span');
+            name.textContent = `${names[emitter.type]} #${emitter.id}`;
+            label.appendChild(checkbox);
+            label.appendChild(swatch);
+            label.appendChild(name);
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn small tertiary';
+            removeButton.textContent = '删除';
+            removeButton.addEventListener('click', () => {
+                this.particleSystem.removeEmitter(emitter.id);
+                this.updateEmitterList();
+            });
+            
+            row.appendChild(label);
+            row.appendChild(removeButton);
+            container.appendChild(row);
+        });
+    }
+    
+    updateGroundTexture() {
+        const { nx, nz } = this.thermalSystem.params;
+        this.atmosphere.updateGroundTexture(nx, nz, (x, z) => this.thermalSystem.getSurfaceType(x, z).color);
+    }
+    
+    generateTerrain(type, peakHeight) {
+        this.pause();
+        this.thermalSystem.generateTerrain(type, peakHeight);
+        this.onTerrainChanged();
+    }
+    
+    loadTerrainImage(file, maxHeight) {
+        // 读取灰度PNG的像素后交给热力系统，图像拉伸覆盖整个地面
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0);
+            const pixels = context.getImageData(0, 0, image.width, image.height).data;
+            URL.revokeObjectURL(url);
+            
+            this.pause();
+            this.thermalSystem.setTerrainFromImage(pixels, image.width, image.height, maxHeight);
+            this.onTerrainChanged();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert('无法读取高度图，请选择PNG图像');
+        };
+        image.src = url;
+    }
+    
+    updateStabilityControls() {
+        // 控件只表示两层递减率和一个逆温层，按背景廓线的前两层和第一个逆温层显示
+        const { lapseRateLayers, inversions } = this.thermalSystem.params;
+        const lower = lapseRateLayers[0];
+        const upper = lapseRateLayers[lapseRateLayers.length - 1];
+        const values = {
+            lowerLapse: lower.lapseRate * 1000,
+            layerHeight: lapseRateLayers.length > 1 ? lower.top : 1000,
+            upperLapse: upper.lapseRate * 1000
+        };
+        if (inversions.length > 0) {
+            values.inversionHeight = inversions[0].base;
+            values.inversionStrength = inversions[0].strength;
+        }
+        
+        const units = { lowerLapse: ' K/km', layerHeight: ' m', upperLapse: ' K/km', inversionHeight: ' m', inversionStrength: ' K' };
+        Object.keys(values).forEach(key => {
+            document.getElementById(key + 'Slider').value = values[key];
+            document.getElementById(key + 'Value').textContent = values[key] + units[key];
+        });
+        document.getElementById('inversionToggle').checked = inversions.length > 0;
+    }
+    
+    applyTemperatureProfile() {
+        // 由大气层结控件组成背景廓线：分层高度上下各一个递减率，逆温层厚100米
+        const layerHeight = parseInt(document.getElementById('layerHeightSlider').value);
+        const inversions = document.getElementById('inversionToggle').checked ? [{
+            base: parseInt(document.getElementById('inversionHeightSlider').value),
+            depth: 100,
+            strength: parseFloat(document.getElementById('inversionStrengthSlider').value)
+        }] : [];
+        
+        this.pause();
+        this.thermalSystem.setTemperatureProfile({
+            lapseRateLayers: [
+                { top: layerHeight, lapseRate: parseFloat(document.getElementById('lowerLapseSlider').value) / 1000 },
+                { top: 2000, lapseRate: parseFloat(document.getElementById('upperLapseSlider').value) / 1000 }
+            ],
+            inversions: inversions
+        });
+        this.particleSystem.reset();
+        this.visualization.updateInfoPanel();
+    }
+    
+    setBoundaryCondition(face, mode) {
+        this.pause();
+        this.thermalSystem.setBoundaryCondition(face, mode);
+        this.updateBoundaryControls();
+        this.particleSystem.reset();
+        this.visualization.updateInfoPanel();
+    }
+    
+    updateBoundaryControls() {
+        const { boundaries } = this.thermalSystem.params;
+        Object.keys(BOUNDARY_SELECTS).forEach(face => {
+            document.getElementById(BOUNDARY_SELECTS[face]).value = boundaries[face];
+        });
+    }
+    
+    setBackgroundWind(wind) {
+        this.thermalSystem.setBackgroundWind(wind);
+        this.updateBackgroundWindControls();
+        this.visualization.updateInfoPanel();
+    }
+    
+    updateBackgroundWindControls() {
+        // 风向下拉框只有八个方位，其他来向显示为最接近的方位
+        const { backgroundWind, boundaryLayerDepth } = this.thermalSystem.params;
+        const { speed, direction, shear } = backgroundWind;
+        document.getElementById('backgroundSpeedSlider').value = speed;
+        document.getElementById('backgroundSpeedValue').textContent = speed.toFixed(1) + ' m/s';
+        document.getElementById('backgroundDirectionSelect').value = String((Math.round(direction / 45) % 8) * 45);
+        document.getElementById('backgroundShearSlider').value = shear;
+        document.getElementById('backgroundShearValue').textContent = shear.toFixed(1) + ' m/s/km';
+        document.getElementById('boundaryLayerSlider').value = boundaryLayerDepth;
+        document.getElementById('boundaryLayerValue').textContent = boundaryLayerDepth + ' m';
+    }
+    
+    onTerrainChanged() {
+        // 地形更换后大气已重新初始化，同步地面网格、探测点和粒子
+        this.updateGroundTerrain();
+        this.visualization.updateProbeHeights();
+        this.particleSystem.reset();
+        this.visualization.updateInfoPanel();
+    }
+    
+    updateGroundTerrain() {
+        this.atmosphere.updateGroundTerrain((x, z) => this.thermalSystem.getTerrainHeightAt(x, z));
+    }
+    
+    updateClockDisplay() {
+        // 同步地方时滑块和昼夜指示
+        const hours = this.thermalSystem.timeOfDay;
+        const hh = Math.floor(hours);
+        const mm = Math.floor((hours - hh) * 60);
+        document.getElementById('timeOfDayValue').textContent =
+            `${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}`;
+        
+        const slider = document.getElementById('timeOfDaySlider');
+        if (document.activeElement !== slider) {
+            slider.value = hours;
+        }
+        
+        const indicator = document.getElementById('dayNightIndicator');
+        const isDay = this.thermalSystem.isDaytime();
+        indicator.textContent = isDay ? '白天' : '夜晚';
+        indicator.className = `day-night-indicator ${isDay ? 'day' : 'night'}`;
     }
     
     startRenderLoop() {
@@ -147,18 +768,43 @@ class ThermalCirculationApp {
             
             // 更新实时数据
             this.visualization.updateInfoPanel();
+            this.particleSystem.updateEmitterMeshes();
+            this.updateClockDisplay();
         };
         
         animate(0);
     }
     
     update(deltaTime) {
-        // 更新热力系统
-        this.thermalSystem.updateFields(deltaTime);
+        // 按固定步下发给热力系统（求解线程内再按物理步长积分），粒子只推进到已求解的固定步，
+        // 每步看到的场与逐步推进时相同；同一种子和参数下的结果只取决于已推进的步数
+        this.frameAccumulator += deltaTime;
+        
+        let ticks = 0;
+        let solverReady = true;
+        while (this.frameAccumulator >= this.fixedDelta && ticks < this.maxTicksPerFrame) {
+            solverReady = this.thermalSystem.advanceSolver(this.fixedDelta);
+            if (!solverReady) break;
+            this.frameAccumulator -= this.fixedDelta;
+            ticks++;
+        }
+        
+        // 机器或求解线程跟不上时丢弃积压时间，只放慢演示而不改变结果
+        if (ticks >= this.maxTicksPerFrame || !solverReady) {
+            this.frameAccumulator = 0;
+        }
+        this.thermalSystem.flushSolver();
         
-        // 更新粒子系统
-        this.particleSystem.update(deltaTime);
-        this.particleSystem.updateWindArrows();
+        let solvedTicks = 0;
+        while (this.thermalSystem.nextSolvedTick()) {
+            this.particleSystem.update(this.fixedDelta);
+            solvedTicks++;
+        }
+        
+        if (solvedTicks > 0) {
+            this.thermalSystem.renderVisualization();
+            this.particleSystem.updateWindArrows();
+        }
     }
     
     // 控制方法
@@ -178,8 +824,10 @@ class ThermalCirculationApp {
     
     reset() {
         this.pause();
+        this.frameAccumulator = 0;
         this.thermalSystem.setHeatIntensity(80);
         this.thermalSystem.setColdIntensity(60);
+        this.thermalSystem.reset();
         this.particleSystem.reset();
         this.visualization.updateInfoPanel();
         
@@ -189,9 +837,16 @@ class ThermalCirculationApp {
         }
     }
     
+    setSeed(seed) {
+        // 更换随机种子后重新开始，同一种子总能重现相同的演示
+        this.seed = seed;
+        this.particleSystem.params.seed = seed;
+        this.reset();
+    }
+    
     setSpeed(speed) {
+        // 风场和粒子都按模拟时间推进，模拟速度同时改变两者，粒子位移始终与风速一致
         this.simulationSpeed = speed;
-        this.particleSystem.setSpeed(speed);
         document.getElementById('speedValue').textContent = speed + 'x';
     }
     
@@ -309,6 +964,9 @@ document.addEventListener('keydown', (e) => {
         case 'r':
             app.reset();
             break;
+        case 'Delete':
+            app.removeSelectedSource();
+            break;
         case '1':
             app.setView('front');
             app.updateViewButtons('frontView');
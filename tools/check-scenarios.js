@@ -0,0 +1,97 @@
+/**
+ * 情景回归检查
+ * 用法：node tools/check-scenarios.js [每个情景的模拟小时数]
+ * 依次运行每个情景预设，开始时在地面中央释放一个烟团，结束时检查：
+ * 场和粒子中没有非有限值、风速和气温在合理范围内、污染物浓度非负且总质量符合排放收支；
+ * 任一情景不通过时以非零状态退出，供 CI 调用
+ */
+
+const ThermalModel = require('../js/core/ThermalModel.js');
+const ParticleModel = require('../js/core/ParticleModel.js');
+const ScenarioLibrary = require('../js/ScenarioLibrary.js');
+
+const hours = parseFloat(process.argv[2]) || 0.5;
+
+const MAX_WIND_SPEED = 30;            // 热力环流不应出现的风速（m/s），超过视为数值失稳
+const TEMPERATURE_RANGE = [-60, 60];  // 气温的合理范围（°C）
+const PUFF_MASS = 10;                 // 开始时释放的烟团质量（kg）
+const MASS_TOLERANCE = 0.05;          // 总质量与排放量允许相差的比例（污染物按通量形式输送，闭合空间中守恒）
+
+function getTracerMass(model) {
+    // 地形以上格点的污染物总质量（kg），浓度单位为 μg/m³
+    const { dx, dy, dz } = model.getGridSpacing();
+    let total = 0;
+    for (let i = 0; i < model.tracerField.length; i++) {
+        if (model.airMask[i]) total += model.tracerField[i];
+    }
+    return total * dx * dy * dz / 1e9;
+}
+
+function checkScenario(preset) {
+    // 运行一个情景，返回未通过的检查项说明
+    const model = new ThermalModel({ nx: 50, ny: 20, nz: 50 });
+    model.applyScenario(preset.thermal);
+    const particles = new ParticleModel(model, { maxParticles: 200 });
+    particles.start();
+    
+    model.releaseTracerPuff(0, 0, 50, PUFF_MASS);
+    
+    // 与浏览器中的主循环一样按固定步长推进
+    const frameTime = 1 / 60;
+    while (model.simulationTime < hours * 3600) {
+        model.updateFields(frameTime);
+        particles.update(frameTime);
+    }
+    
+    const failures = [];
+    ThermalModel.STATE_FIELDS.forEach(name => {
+        if (!model[name].every(Number.isFinite)) failures.push(`${name} 出现非有限值`);
+    });
+    if (!particles.positions.every(Number.isFinite)) failures.push('粒子位置出现非有限值');
+    if (failures.length > 0) return failures;
+    
+    const maxWind = model.getMaxWindSpeed();
+    if (maxWind > MAX_WIND_SPEED) {
+        failures.push(`最大风速 ${maxWind.toFixed(1)} m/s 超过 ${MAX_WIND_SPEED} m/s`);
+    }
+    
+    let minTemp = Infinity, maxTemp = -Infinity;
+    for (let i = 0; i < model.temperatureField.length; i++) {
+        if (!model.airMask[i]) continue;
+        minTemp = Math.min(minTemp, model.temperatureField[i]);
+        maxTemp = Math.max(maxTemp, model.temperatureField[i]);
+    }
+    if (minTemp < TEMPERATURE_RANGE[0] || maxTemp > TEMPERATURE_RANGE[1]) {
+        failures.push(`气温 ${minTemp.toFixed(1)}～${maxTemp.toFixed(1)}°C 超出合理范围`);
+    }
+    
+    // 排放量为烟团加上各烟囱按排放速率（g/s）持续排放的质量；有开放边界时污染物可以流出，只检查上限，
+    // 闭合模拟空间中总质量应与排放量一致
+    if (model.tracerField.some(value => value < 0)) failures.push('污染物浓度出现负值');
+    const emitted = PUFF_MASS + model.getTracerSources()
+        .reduce((sum, source) => sum + source.rate * model.simulationTime / 1000, 0);
+    const mass = getTracerMass(model);
+    const closed = Object.values(model.params.boundaries).every(mode => mode !== 'open');
+    if (mass > emitted * (1 + MASS_TOLERANCE)) {
+        failures.push(`污染物总质量 ${mass.toFixed(2)} kg 超过排放量 ${emitted.toFixed(2)} kg`);
+    } else if (closed && mass < emitted * (1 - MASS_TOLERANCE)) {
+        failures.push(`闭合模拟空间中污染物总质量 ${mass.toFixed(2)} kg 低于排放量 ${emitted.toFixed(2)} kg`);
+    }
+    return failures;
+}
+
+let failed = 0;
+new ScenarioLibrary().list().forEach(preset => {
+    const failures = checkScenario(preset);
+    if (failures.length === 0) {
+        console.log(`通过  ${preset.id}`);
+        return;
+    }
+    failed++;
+    console.log(`失败  ${preset.id}：${failures.join('；')}`);
+});
+
+if (failed > 0) {
+    console.error(`${failed} 个情景未通过检查`);
+    process.exit(1);
+}
@@ -0,0 +1,69 @@
+/**
+ * 无界面运行热力模型
+ * 用法：node tools/run-headless.js [情景id] [模拟小时数] [随机种子]
+ * 每模拟10分钟输出一行CSV，用于批量实验和无GPU机器上的自动检查；出现非有限值时以非零状态退出
+ * 相同的情景、时长和种子总是输出相同的结果
+ */
+
+const ThermalModel = require('../js/core/ThermalModel.js');
+const ParticleModel = require('../js/core/ParticleModel.js');
+const ScenarioLibrary = require('../js/ScenarioLibrary.js');
+
+const scenarioId = process.argv[2] || 'basic';
+const hours = parseFloat(process.argv[3]) || 1;
+// 缺省种子与页面初始值相同；0 是有效的种子，不能当作缺省
+const seedArgument = parseInt(process.argv[4]);
+const seed = Number.isNaN(seedArgument) ? 1 : seedArgument;
+
+const preset = new ScenarioLibrary().get(scenarioId);
+if (!preset) {
+    console.error(`未知情景：${scenarioId}`);
+    process.exit(1);
+}
+
+const model = new ThermalModel({ nx: 50, ny: 20, nz: 50 });
+model.applyScenario(preset.thermal);
+
+const particles = new ParticleModel(model, { maxParticles: 500, seed: seed });
+particles.start();
+
+function surfaceSummary() {
+    // 地形以上第一层的最大水平风速（含背景风，与页面的近地面最大风速一致）和平均气温
+    const { nx, nz } = model.params;
+    let totalTemp = 0;
+    for (let x = 0; x < nx; x++) {
+        for (let z = 0; z < nz; z++) {
+            totalTemp += model.temperatureField[model.cellIndex(model.groundLevel[x][z], x, z)];
+        }
+    }
+    return { maxWind: model.getMaxWindSpeed(true), meanTemp: totalTemp / (nx * nz) };
+}
+
+// 与浏览器中的主循环一样按固定步长推进
+const frameTime = 1 / 60;
+const outputInterval = 600;
+let nextOutput = 0;
+
+console.log('sim_hours,time_of_day,max_surface_wind,mean_surface_temp,mean_particle_speed');
+while (model.simulationTime < hours * 3600) {
+    model.updateFields(frameTime);
+    particles.update(frameTime);
+    
+    if (model.simulationTime >= nextOutput) {
+        const { maxWind, meanTemp } = surfaceSummary();
+        const { averageVelocity } = particles.getStats();
+        if (![maxWind, meanTemp, averageVelocity].every(Number.isFinite)) {
+            console.error(`模拟在 ${model.simulationTime} s 出现非有限值`);
+            process.exit(1);
+        }
+        
+        console.log([
+            (model.simulationTime / 3600).toFixed(2),
+            model.timeOfDay.toFixed(2),
+            maxWind.toFixed(3),
+            meanTemp.toFixed(3),
+            averageVelocity.toFixed(3)
+        ].join(','));
+        nextOutput += outputInterval;
+    }
+}